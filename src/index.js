@@ -5,54 +5,207 @@
  * 
  * Responsibilities:
  * - Host install.sh for CLI installation
- * - Provide initial config for koye init
- * - Handle authentication (register, login, status)
- * - Provide plan & profile info
+ * - Serve versioned CLI releases (stable / beta channels)
+ * - Publish SHA-256 checksums and optional Ed25519 signatures for the CLI
+ * - Provide initial config, project templates and the koye.json schema for koye init
+ * - Handle authentication (register, login, email verification) through a
+ *   pluggable provider: Supabase, or a local file store for development
+ * - Rate limit auth routes and lock out accounts after repeated failed logins
+ * - Device authorization for headless `koye login --device`
+ * - Short-lived access tokens with rotating refresh tokens and revocation
+ * - Personal access tokens for CI and other non-interactive use
+ * - Provide plan & profile info, and the plan catalog that gates features
+ * - Keep a registry of each user's projects
+ * - Organizations with roles, invitations, shared projects and a shared credit pool
+ * - Keep a credit ledger and report usage
  * - Validate CLI tokens
+ *
+ * `node src/index.js` runs a standalone server configured from the
+ * environment. Other processes and tests embed one with createStartServer().
  */
 
 import { createClient } from '@supabase/supabase-js';
+import bcrypt from 'bcryptjs';
 import cors from 'cors';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import express from 'express';
+import { appendFileSync, existsSync, mkdirSync, readFileSync, realpathSync, renameSync, writeFileSync } from 'fs';
 import jwt from 'jsonwebtoken';
 import morgan from 'morgan';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
 
 dotenv.config();
 
-const app = express();
-const PORT = process.env.PORT || 3001;
+// Server URLs, overridable per instance with createStartServer({ servers })
+const DEFAULT_SERVER_URLS = {
+    start: process.env.START_SERVER_URL || 'https://start.koye.ai',
+    main: process.env.MAIN_SERVER_URL || 'https://api.koye.ai',
+    make_public: process.env.MAKE_PUBLIC_URL || 'https://public.koye.ai'
+};
+
+// CLI release served by the built-in template below
+const CLI_VERSION = process.env.CLI_VERSION || '1.0.0';
+const CLI_CHANNEL = process.env.CLI_CHANNEL || 'stable';
+const CLI_RELEASES_DIR = process.env.CLI_RELEASES_DIR || join(dirname(fileURLToPath(import.meta.url)), '..', 'releases');
+
+// Optional Ed25519 key (PEM, `\n` escapes allowed) used to sign the checksum manifest
+const CLI_SIGNING_KEY = process.env.CLI_SIGNING_KEY
+    ? crypto.createPrivateKey(process.env.CLI_SIGNING_KEY.replace(/\\n/g, '\n'))
+    : null;
+const CLI_PUBLIC_KEY = CLI_SIGNING_KEY
+    ? crypto.createPublicKey(CLI_SIGNING_KEY).export({ type: 'spki', format: 'pem' })
+    : null;
+
+// Token lifetimes
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60; // seconds
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// How long stop() waits for in-flight requests before closing their connections
+const SHUTDOWN_TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT, 10) || 10; // seconds
+
+// ============== CLI RELEASES ==============
+// The template in renderCliScript() is the built-in release (CLI_VERSION on
+// CLI_CHANNEL). Other builds, such as betas or pinned older versions, are
+// published to CLI_RELEASES_DIR as <version>/koye.js with an entry in
+// manifest.json: { "releases": [{ "version", "channel", "released_at", "notes" }] }.
+// Published files may use {{START_SERVER_URL}}, {{MAIN_SERVER_URL}} and
+// {{MAKE_PUBLIC_URL}} placeholders, filled in when served.
+
+const CLI_CHANNELS = ['stable', 'beta'];
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.]+)?$/;
+
+const compareVersions = (a, b) => {
+    const [coreA, preA = ''] = a.split('-');
+    const [coreB, preB = ''] = b.split('-');
+    const partsA = coreA.split('.').map(Number);
+    const partsB = coreB.split('.').map(Number);
+
+    for (let i = 0; i < 3; i++) {
+        if (partsA[i] !== partsB[i]) return partsA[i] - partsB[i];
+    }
+    if (preA === preB) return 0;
+    if (!preA) return 1;
+    if (!preB) return -1;
+    return preA.localeCompare(preB, undefined, { numeric: true });
+};
+
+// Newest first; re-read on every call so publishing a release needs no restart
+const loadCliReleases = (logger = console) => {
+    let published = [];
+    try {
+        const manifest = JSON.parse(readFileSync(join(CLI_RELEASES_DIR, 'manifest.json'), 'utf-8'));
+        published = (manifest.releases || []).filter(release =>
+            VERSION_PATTERN.test(release.version) &&
+            CLI_CHANNELS.includes(release.channel) &&
+            release.version !== CLI_VERSION
+        );
+    } catch (error) {
+        if (error.code !== 'ENOENT') logger.error('CLI releases manifest error:', error.message);
+    }
+
+    return [{ version: CLI_VERSION, channel: CLI_CHANNEL, builtin: true }, ...published]
+        .sort((a, b) => compareVersions(b.version, a.version));
+};
+
+// stable follows stable releases only; beta follows the newest release of any channel
+const latestRelease = (releases, channel) =>
+    releases.find(release => channel === 'beta' || release.channel === channel);
+
+const readCliRelease = (release, urls) => {
+    if (release.builtin) return renderCliScript(urls);
+
+    return readFileSync(join(CLI_RELEASES_DIR, release.version, 'koye.js'), 'utf-8')
+        .replaceAll('{{START_SERVER_URL}}', urls.start)
+        .replaceAll('{{MAIN_SERVER_URL}}', urls.main)
+        .replaceAll('{{MAKE_PUBLIC_URL}}', urls.make_public);
+};
+
+// Resolves ?version=x.y.z or ?channel=beta to a release; responds with an error and returns null otherwise
+const resolveCliRelease = (req, res, logger) => {
+    const { version, channel = 'stable' } = req.query;
 
-// Supabase client
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+    if (version && !VERSION_PATTERN.test(version)) {
+        res.status(400).json({ success: false, error: 'Invalid version' });
+        return null;
+    }
+    if (!CLI_CHANNELS.includes(channel)) {
+        res.status(400).json({ success: false, error: `Channel must be one of: ${CLI_CHANNELS.join(', ')}` });
+        return null;
+    }
+
+    const releases = loadCliReleases(logger);
+    const release = version ? releases.find(r => r.version === version) : latestRelease(releases, channel);
+    if (!release) {
+        res.status(404).json({ success: false, error: `CLI version ${version || channel} not found` });
+        return null;
+    }
+    return release;
+};
+
+// `sha256sum` format, so it can be checked by hand as well as by the installers
+const renderChecksums = (script) =>
+    `${crypto.createHash('sha256').update(script).digest('hex')}  koye.js\n`;
+
+// Node is already a prerequisite, so both installers verify downloads with this
+// script instead of depending on sha256sum/openssl/Get-FileHash being present
+const renderVerifyScript = () => String.raw`// KOYE CLI download verifier: node verify.cjs <koye.js> <SHA256SUMS> [SHA256SUMS.sig]
+const fs = require('fs');
+const crypto = require('crypto');
+
+const PUBLIC_KEY = ${JSON.stringify(CLI_PUBLIC_KEY)};
+const [file, sumsFile, sigFile] = process.argv.slice(2);
 
-// Server URLs
-const MAIN_SERVER_URL = process.env.MAIN_SERVER_URL || 'https://api.koye.ai';
-const MAKE_PUBLIC_URL = process.env.MAKE_PUBLIC_URL || 'https://public.koye.ai';
-const START_SERVER_URL = process.env.START_SERVER_URL || 'https://start.koye.ai';
+const fail = (reason) => {
+    console.error('   ' + reason);
+    process.exit(1);
+};
+
+const sums = fs.readFileSync(sumsFile, 'utf8');
+
+if (PUBLIC_KEY) {
+    if (!sigFile || !fs.existsSync(sigFile)) fail('Signature is missing');
+    const signature = Buffer.from(fs.readFileSync(sigFile, 'utf8').trim(), 'base64');
+    if (!crypto.verify(null, Buffer.from(sums), PUBLIC_KEY, signature)) fail('Signature does not match the KOYE signing key');
+} else if (process.env.KOYE_ALLOW_UNSIGNED === '1') {
+    // The checksums come from the same server as the script, so they only catch corruption
+    console.log('   ⚠️  Unsigned release: integrity only, not authenticity');
+} else {
+    fail('This server does not sign CLI releases, so the download cannot be authenticated. Set KOYE_ALLOW_UNSIGNED=1 to install it anyway.');
+}
+
+const match = sums.match(/^([a-f0-9]{64})\s+\*?koye\.js\r?$/m);
+if (!match) fail('koye.js is missing from the checksum manifest');
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(morgan('dev'));
+const actual = crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+if (actual !== match[1]) fail('Checksum mismatch: expected ' + match[1] + ', got ' + actual);
+`;
 
 // ============== INSTALL SCRIPT ==============
 
 // The install.sh script that users run via: curl -fsSL https://start.koye.ai/install.sh | bash
-app.get('/install.sh', (req, res) => {
-    const installScript = `#!/bin/bash
+const renderInstallScript = ({ urls, stableVersion, betaVersion }) => `#!/bin/bash
 # ╔═══════════════════════════════════════════════╗
 # ║     🎮 KOYE CLI - Game Development AI         ║
 # ╚═══════════════════════════════════════════════╝
 #
-# Installation: curl -fsSL ${START_SERVER_URL}/install.sh | bash
+# Installation: curl -fsSL ${urls.start}/install.sh | bash
+# Beta channel: curl -fsSL ${urls.start}/install.sh | KOYE_CHANNEL=beta bash
+# Pinned:       curl -fsSL ${urls.start}/install.sh | KOYE_VERSION=x.y.z bash
+# Unsigned:     curl -fsSL ${urls.start}/install.sh | KOYE_ALLOW_UNSIGNED=1 bash (servers without CLI_SIGNING_KEY)
 
 set -e
 
-KOYE_VERSION="1.0.0"
+KOYE_CHANNEL="\${KOYE_CHANNEL:-stable}"
+if [ -z "\${KOYE_VERSION}" ]; then
+    if [ "\${KOYE_CHANNEL}" = "beta" ]; then
+        KOYE_VERSION="${betaVersion}"
+    else
+        KOYE_CHANNEL="stable"
+        KOYE_VERSION="${stableVersion}"
+    fi
+fi
 KOYE_HOME="\${HOME}/.koye"
 KOYE_BIN="\${KOYE_HOME}/bin"
 
@@ -85,17 +238,37 @@ fi
 echo "✅ Node.js \$(node -v) detected"
 echo ""
 
+# Download and verify into a temp dir first, so a failed check leaves any existing install untouched
+TMP_DIR=\$(mktemp -d)
+trap 'rm -rf "\$TMP_DIR"' EXIT
+
+echo "📦 Downloading KOYE CLI..."
+curl -fsSL "${urls.start}/cli/koye.js?version=\${KOYE_VERSION}" -o "\${TMP_DIR}/koye.js"
+curl -fsSL "${urls.start}/cli/SHA256SUMS?version=\${KOYE_VERSION}" -o "\${TMP_DIR}/SHA256SUMS"
+${CLI_SIGNING_KEY ? `curl -fsSL "${urls.start}/cli/SHA256SUMS.sig?version=\${KOYE_VERSION}" -o "\${TMP_DIR}/SHA256SUMS.sig"
+` : ''}
+cat > "\${TMP_DIR}/verify.cjs" << 'KOYE_VERIFY'
+${renderVerifyScript()}KOYE_VERIFY
+
+echo "🔏 Verifying download${CLI_SIGNING_KEY ? ' checksum and signature' : ' checksum (unsigned: integrity only)'}..."
+if ! node "\${TMP_DIR}/verify.cjs" "\${TMP_DIR}/koye.js" "\${TMP_DIR}/SHA256SUMS" "\${TMP_DIR}/SHA256SUMS.sig"; then
+    echo "❌ Verification failed. Nothing was installed or changed."
+    exit 1
+fi
+
 # Create KOYE directories
 echo "📁 Setting up KOYE directories..."
 mkdir -p "\${KOYE_HOME}"
 mkdir -p "\${KOYE_BIN}"
 
 # Create package.json to mark as ES module
-echo '{"name":"koye-cli","version":"1.0.0","type":"module"}' > "\${KOYE_HOME}/package.json"
+echo '{"name":"koye-cli","version":"'"\${KOYE_VERSION}"'","type":"module"}' > "\${KOYE_HOME}/package.json"
 
-# Download the CLI script
-echo "📦 Downloading KOYE CLI..."
-curl -fsSL ${START_SERVER_URL}/cli/koye.js -o "\${KOYE_BIN}/koye.js"
+# Remember the channel so 'koye update' keeps following it
+echo '{"channel":"'"\${KOYE_CHANNEL}"'"}' > "\${KOYE_HOME}/update.json"
+
+# Install the verified CLI script
+mv "\${TMP_DIR}/koye.js" "\${KOYE_BIN}/koye.js"
 
 # Create the koye executable wrapper
 cat > "\${KOYE_BIN}/koye" << 'KOYE_CLI_WRAPPER'
@@ -150,8 +323,10 @@ echo "        koye chat"
 echo ""
 echo "  📚 Commands:"
 echo "     koye init      - Initialize KOYE in a project"
-echo "     koye login     - Login to your account"
+echo "     koye login     - Login to your account (--device for SSH/headless)"
+echo "     koye logout    - Logout and revoke this machine's session"
 echo "     koye register  - Create a new account"
+echo "     koye verify    - Finish registration after confirming your email"
 echo "     koye chat      - Start AI chat session"
 echo "     koye help      - Show all commands"
 echo ""
@@ -159,18 +334,18 @@ echo "════════════════════════
 echo ""
 `;
 
-    res.setHeader('Content-Type', 'text/plain');
-    res.setHeader('Content-Disposition', 'inline; filename="install.sh"');
-    res.send(installScript);
-});
-
 // PowerShell install script for Windows users
-app.get('/install.ps1', (req, res) => {
-    const installScript = `# KOYE CLI - Windows Installer
-# Installation: irm ${START_SERVER_URL}/install.ps1 | iex
+const renderInstallPs1 = ({ urls, stableVersion, betaVersion }) => `# KOYE CLI - Windows Installer
+# Installation: irm ${urls.start}/install.ps1 | iex
+# Beta channel: $env:KOYE_CHANNEL = "beta"; irm ${urls.start}/install.ps1 | iex
+# Unsigned:     $env:KOYE_ALLOW_UNSIGNED = "1"; irm ${urls.start}/install.ps1 | iex (servers without CLI_SIGNING_KEY)
 
 $ErrorActionPreference = "Stop"
-$KOYE_VERSION = "1.0.0"
+$KOYE_CHANNEL = if ($env:KOYE_CHANNEL -eq "beta") { "beta" } else { "stable" }
+$KOYE_VERSION = $env:KOYE_VERSION
+if (-not $KOYE_VERSION) {
+    $KOYE_VERSION = if ($KOYE_CHANNEL -eq "beta") { "${betaVersion}" } else { "${stableVersion}" }
+}
 $KOYE_HOME = "$env:USERPROFILE\\.koye"
 $KOYE_BIN = "$KOYE_HOME\\bin"
 
@@ -193,17 +368,38 @@ try {
     exit 1
 }
 
-# Create directories
-if (-not (Test-Path $KOYE_HOME)) { New-Item -ItemType Directory -Path $KOYE_HOME -Force | Out-Null }
-if (-not (Test-Path $KOYE_BIN)) { New-Item -ItemType Directory -Path $KOYE_BIN -Force | Out-Null }
-
-# Download CLI
-Write-Host "Downloading KOYE CLI..." -ForegroundColor Yellow
-Invoke-WebRequest -Uri "${START_SERVER_URL}/cli/koye.js" -OutFile "$KOYE_BIN\\koye.js" -UseBasicParsing
+# Download and verify into a temp dir first, so a failed check leaves any existing install untouched
+$TMP_DIR = Join-Path ([System.IO.Path]::GetTempPath()) ("koye-" + [guid]::NewGuid())
+New-Item -ItemType Directory -Path $TMP_DIR -Force | Out-Null
+try {
+    Write-Host "Downloading KOYE CLI..." -ForegroundColor Yellow
+    Invoke-WebRequest -Uri "${urls.start}/cli/koye.js?version=$KOYE_VERSION" -OutFile "$TMP_DIR\\koye.js" -UseBasicParsing
+    Invoke-WebRequest -Uri "${urls.start}/cli/SHA256SUMS?version=$KOYE_VERSION" -OutFile "$TMP_DIR\\SHA256SUMS" -UseBasicParsing
+${CLI_SIGNING_KEY ? `    Invoke-WebRequest -Uri "${urls.start}/cli/SHA256SUMS.sig?version=$KOYE_VERSION" -OutFile "$TMP_DIR\\SHA256SUMS.sig" -UseBasicParsing
+` : ''}
+    Set-Content -Path "$TMP_DIR\\verify.cjs" -Value @'
+${renderVerifyScript()}'@
+
+    Write-Host "Verifying download${CLI_SIGNING_KEY ? '' : ' (unsigned: integrity only)'}..." -ForegroundColor Yellow
+    node "$TMP_DIR\\verify.cjs" "$TMP_DIR\\koye.js" "$TMP_DIR\\SHA256SUMS" "$TMP_DIR\\SHA256SUMS.sig"
+    if ($LASTEXITCODE -ne 0) {
+        Write-Host "Verification failed. Nothing was installed or changed." -ForegroundColor Red
+        exit 1
+    }
 
+    # Create directories and install the verified CLI
+    if (-not (Test-Path $KOYE_HOME)) { New-Item -ItemType Directory -Path $KOYE_HOME -Force | Out-Null }
+    if (-not (Test-Path $KOYE_BIN)) { New-Item -ItemType Directory -Path $KOYE_BIN -Force | Out-Null }
+    Move-Item -Path "$TMP_DIR\\koye.js" -Destination "$KOYE_BIN\\koye.js" -Force
+} finally {
+    Remove-Item -Path $TMP_DIR -Recurse -Force -ErrorAction SilentlyContinue
+}
 
 # Create package.json to mark as ES module
-Set-Content -Path "$KOYE_HOME\\package.json" -Value '{"name":"koye-cli","version":"1.0.0","type":"module"}'
+Set-Content -Path "$KOYE_HOME\\package.json" -Value "{\`"name\`":\`"koye-cli\`",\`"version\`":\`"$KOYE_VERSION\`",\`"type\`":\`"module\`"}"
+
+# Remember the channel so 'koye update' keeps following it
+Set-Content -Path "$KOYE_HOME\\update.json" -Value "{\`"channel\`":\`"$KOYE_CHANNEL\`"}"
 
 # Create batch wrapper
 Set-Content -Path "$KOYE_BIN\\koye.cmd" -Value '@echo off\nnode "%USERPROFILE%\\.koye\\bin\\koye.js" %*'
@@ -220,40 +416,228 @@ Write-Host "KOYE CLI installed! Open a NEW terminal and run: koye help" -Foregro
 Write-Host ""
 `;
 
-    res.setHeader('Content-Type', 'text/plain');
-    res.setHeader('Content-Disposition', 'inline; filename="install.ps1"');
-    res.send(installScript);
-});
+// ============== KOYE.JSON SCHEMA ==============
+// koye.json has its own format number in `version`, independent of the CLI
+// version. Changing the format means bumping KOYE_CONFIG_VERSION, updating the
+// schema and adding a step to CONFIG_MIGRATIONS in the CLI template. The schema
+// is served at /config/schema and embedded in the CLI, which validates offline.
+
+const KOYE_CONFIG_VERSION = 3;
+
+const KOYE_CONFIG_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'koye.json',
+    description: 'KOYE project configuration, created by `koye init`',
+    type: 'object',
+    required: ['version', 'project_name', 'project_id', 'assets'],
+    additionalProperties: false,
+    properties: {
+        $schema: { type: 'string' },
+        version: { const: KOYE_CONFIG_VERSION, description: 'Format version; `koye config migrate` upgrades older files' },
+        project_name: { type: 'string', minLength: 1, maxLength: 100 },
+        project_id: { type: 'string', pattern: '^proj_[a-z0-9]{6,32}$' },
+        user_id: { type: 'string' },
+        plan: { type: 'string' },
+        // Detected by the CLI from the project's files; edit it if the guess is wrong
+        engine: {
+            type: ['object', 'null'],
+            required: ['id'],
+            additionalProperties: false,
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                name: { type: 'string' },
+                version: { type: ['string', 'null'] },
+                language: { type: ['string', 'null'] },
+                toolchain: { type: 'array', items: { type: 'string' } }
+            }
+        },
+        servers: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                start: { type: 'string', format: 'uri' },
+                main: { type: 'string', format: 'uri' },
+                make_public: { type: 'string', format: 'uri' }
+            }
+        },
+        assets: {
+            type: 'object',
+            required: ['root'],
+            additionalProperties: false,
+            properties: {
+                root: { type: 'string', minLength: 1 },
+                images: { type: 'string', minLength: 1 },
+                videos: { type: 'string', minLength: 1 },
+                audio: { type: 'string', minLength: 1 },
+                models3d: { type: 'string', minLength: 1 },
+                other: { type: 'string', minLength: 1 }
+            }
+        },
+        // Filled in from the plan; new flags may appear, so any boolean is accepted
+        features: { type: 'object', additionalProperties: { type: 'boolean' } },
+        limits: { type: 'object', additionalProperties: { type: ['integer', 'null'], minimum: 0 } },
+        actions: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                auto_approve: {
+                    type: 'array',
+                    items: { enum: ['create_file', 'delete_file', 'rename_file', 'create_folder', 'delete_folder', 'run_command'] }
+                },
+                deny: { type: 'array', items: { type: 'string', minLength: 1 } }
+            }
+        }
+    }
+};
 
 // ============== CLI SCRIPT (served to users) ==============
 
-// The actual CLI JavaScript that gets downloaded
-app.get('/cli/koye.js', (req, res) => {
-    const cliScript = `#!/usr/bin/env node
+// The actual CLI JavaScript that gets downloaded (the built-in release)
+const renderCliScript = (urls) => `#!/usr/bin/env node
 /**
  * KOYE CLI - Game Development AI Assistant
  * Run 'koye help' for usage information
  */
 
 import { createInterface } from 'readline';
-import { existsSync, readFileSync, writeFileSync, mkdirSync, unlinkSync, renameSync, rmSync } from 'fs';
-import { join, dirname } from 'path';
+import { existsSync, readFileSync, writeFileSync, mkdirSync, unlinkSync, renameSync, rmSync, realpathSync, lstatSync, statSync, cpSync, readdirSync, rmdirSync } from 'fs';
+import { join, dirname, resolve, relative, isAbsolute, basename, extname, sep } from 'path';
 import { homedir, platform } from 'os';
-import { exec } from 'child_process';
+import { exec, execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { createHash, randomBytes, verify } from 'crypto';
 
+const CLI_VERSION = '${CLI_VERSION}';
+// Key pinned at install time; updates must be signed by it when present
+const CLI_PUBLIC_KEY = ${JSON.stringify(CLI_PUBLIC_KEY)};
 const KOYE_HOME = join(homedir(), '.koye');
-const AUTH_FILE = join(KOYE_HOME, 'auth.json');
-const SERVERS = {
-    start: '${START_SERVER_URL}',
-    main: '${MAIN_SERVER_URL}',
-    public: '${MAKE_PUBLIC_URL}'
+const USER_CONFIG_FILE = join(KOYE_HOME, 'config.json');
+const UPDATE_FILE = join(KOYE_HOME, 'update.json');
+const CONFIG_VERSION = ${KOYE_CONFIG_VERSION};
+const DEFAULT_SERVERS = {
+    start: '${urls.start}',
+    main: '${urls.main}',
+    public: '${urls.make_public}'
 };
 
+// Effective endpoints for this run, filled in by applyProfile() before any command runs
+const SERVERS = { ...DEFAULT_SERVERS };
+
+// ============== Profiles ==============
+// ~/.koye/config.json holds named profiles, each with optional server URLs:
+//   { "current_profile": "default", "profiles": { "staging": { "servers": { "start": "..." } } } }
+// Credentials live in auth.json for the default profile and auth.<profile>.json for others.
+// "trusted_servers" lists the origins a project's koye.json may point the CLI at.
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+const SERVER_KEYS = ['start', 'main', 'public'];
+let activeProfile = 'default';
+
+function loadUserConfig() {
+    try { return JSON.parse(readFileSync(USER_CONFIG_FILE, 'utf-8')); }
+    catch { return {}; }
+}
+
+function saveUserConfig(userConfig) {
+    mkdirSync(KOYE_HOME, { recursive: true });
+    writeFileSync(USER_CONFIG_FILE, JSON.stringify(userConfig, null, 2));
+}
+
+// auth.json / registration.json for the default profile, auth.<profile>.json etc. for the rest
+function profileFile(name, profile = activeProfile) {
+    return join(KOYE_HOME, profile === 'default' ? \`\${name}.json\` : \`\${name}.\${profile}.json\`);
+}
+
+function authFile(profile = activeProfile) {
+    return profileFile('auth', profile);
+}
+
+// koye.json endpoints that resolveServers() skipped because their host is not trusted yet
+const untrustedServers = [];
+
+function serverOrigin(url) {
+    try { return new URL(url).origin; }
+    catch { return null; }
+}
+
+function isTrustedServer(url) {
+    const origin = serverOrigin(url);
+    return Object.values(DEFAULT_SERVERS).some(server => serverOrigin(server) === origin) ||
+        (loadUserConfig().trusted_servers || []).includes(origin);
+}
+
+// Precedence: KOYE_START_URL / KOYE_MAIN_URL / KOYE_PUBLIC_URL, the profile's own servers, the
+// project's koye.json "servers" (trusted hosts only), then the built-in defaults. koye.json comes
+// with whatever repository was cloned, and the endpoints receive the login tokens.
+function resolveServers(profile = activeProfile, untrusted = []) {
+    // A broken koye.json is reported by the command that reads it, not here
+    let project = {};
+    try { project = loadConfig()?.servers || {}; } catch {}
+    const fromProject = { start: project.start, main: project.main, public: project.make_public };
+    const fromProfile = loadUserConfig().profiles?.[profile]?.servers || {};
+    const fromEnv = { start: process.env.KOYE_START_URL, main: process.env.KOYE_MAIN_URL, public: process.env.KOYE_PUBLIC_URL };
+
+    const servers = {};
+    for (const key of SERVER_KEYS) {
+        let fromConfig = fromProject[key];
+        if (fromConfig && !isTrustedServer(fromConfig)) {
+            if (!fromEnv[key] && !fromProfile[key]) untrusted.push({ key, url: fromConfig });
+            fromConfig = null;
+        }
+        servers[key] = fromEnv[key] || fromProfile[key] || fromConfig || DEFAULT_SERVERS[key];
+    }
+    return servers;
+}
+
+// --profile beats KOYE_PROFILE, which beats the profile picked with 'koye config set profile'
+function applyProfile(profileFlag) {
+    const profile = profileFlag || process.env.KOYE_PROFILE || loadUserConfig().current_profile || 'default';
+    if (!PROFILE_NAME_PATTERN.test(profile)) {
+        console.log('\\n❌ Invalid profile name: ' + profile + '\\n');
+        process.exit(2);
+    }
+
+    activeProfile = profile;
+    Object.assign(SERVERS, resolveServers(profile, untrustedServers));
+}
+
+// Asks once per host before following the endpoints in a koye.json. Without a terminal, or when
+// declined, the CLI keeps the endpoints it would use without that koye.json.
+async function confirmProjectServers() {
+    if (!untrustedServers.length) return;
+    const userConfig = loadUserConfig();
+    const origins = [...new Set(untrustedServers.map(({ url }) => serverOrigin(url) || url))];
+    let trusted = false;
+
+    for (const origin of origins) {
+        const keys = untrustedServers.filter(({ url }) => (serverOrigin(url) || url) === origin).map(({ key }) => 'servers.' + key);
+        console.log(\`\n⚠️  \${CONFIG_FILE} points \${keys.join(', ')} at \${origin}, which you have not trusted yet.\`);
+        console.log('   That server would receive your KOYE credentials.');
+        const answer = process.stdin.isTTY && serverOrigin(origin) ? await prompt(\`   Trust \${origin}? (y/N): \`) : '';
+        if (answer.toLowerCase() === 'y') {
+            userConfig.trusted_servers = [...(userConfig.trusted_servers || []), origin];
+            trusted = true;
+        } else {
+            console.log("   Ignoring it. Use 'koye config set servers.<name> <url>' or KOYE_START_URL etc. to pick endpoints.");
+        }
+    }
+    console.log('');
+
+    untrustedServers.length = 0;
+    if (trusted) {
+        saveUserConfig(userConfig);
+        Object.assign(SERVERS, resolveServers(activeProfile));
+    }
+}
+
 // ============== Utilities ==============
 
 function loadAuth() {
-    if (existsSync(AUTH_FILE)) {
-        try { return JSON.parse(readFileSync(AUTH_FILE, 'utf-8')); }
+    // CI and scripts authenticate with a personal access token instead of auth.json
+    if (process.env.KOYE_TOKEN) return { token: process.env.KOYE_TOKEN, user: null, source: 'env' };
+
+    if (existsSync(authFile())) {
+        try { return JSON.parse(readFileSync(authFile(), 'utf-8')); }
         catch { return null; }
     }
     return null;
@@ -261,30 +645,559 @@ function loadAuth() {
 
 function saveAuth(auth) {
     mkdirSync(KOYE_HOME, { recursive: true });
-    writeFileSync(AUTH_FILE, JSON.stringify(auth, null, 2));
+    writeFileSync(authFile(), JSON.stringify(auth, null, 2));
+}
+
+// ============== Project Config ==============
+// koye.json carries its format number in \`version\`. Older files are upgraded
+// in memory when loaded, and on disk by 'koye config migrate' or the next
+// save, keeping a backup of the original. CONFIG_SCHEMA is the server's
+// (also served at /config/schema), so both sides agree on what is valid.
+
+const CONFIG_FILE = 'koye.json';
+const CONFIG_SCHEMA = ${JSON.stringify(KOYE_CONFIG_SCHEMA, null, 4)};
+
+// Each step upgrades a file from format \`from\` to \`from + 1\`
+const CONFIG_MIGRATIONS = [
+    {
+        from: 1,
+        description: 'version holds the koye.json format instead of the CLI version',
+        migrate: config => ({ ...config, version: 2 })
+    },
+    {
+        from: 2,
+        // Migrations only reshape the file; projectEngine() detects the engine while engine is null
+        description: 'engine records the game engine used by the project',
+        migrate: config => ({ ...config, version: 3, engine: config.engine ?? null })
+    }
+];
+
+// koye.json cannot be used as is; \`problems\` lists each invalid field
+class ConfigError extends Error {
+    constructor(message, { problems = [], hint = null } = {}) {
+        super(message);
+        this.name = 'ConfigError';
+        this.problems = problems;
+        this.hint = hint;
+    }
+}
+
+function configPath() {
+    return join(process.cwd(), CONFIG_FILE);
 }
 
+// Files written before the format was numbered hold the CLI version ("1.0.0") there
+function configFormat(config) {
+    return Number.isInteger(config.version) ? config.version : 1;
+}
+
+function readConfigFile() {
+    let config;
+    try {
+        config = JSON.parse(readFileSync(configPath(), 'utf-8'));
+    } catch (e) {
+        throw new ConfigError(CONFIG_FILE + ' is not valid JSON: ' + e.message, { hint: 'Fix the syntax error, or run \\'koye init\\' to start over' });
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new ConfigError(CONFIG_FILE + ' must contain a JSON object');
+    }
+    return config;
+}
+
+// Returns the config in CONFIG_VERSION format and the migration steps that got it there
+function migrateConfig(config) {
+    const format = configFormat(config);
+    if (format > CONFIG_VERSION) {
+        throw new ConfigError(\`\${CONFIG_FILE} is format \${format}, newer than this CLI supports (\${CONFIG_VERSION})\`, { hint: 'Run \\'koye update\\'' });
+    }
+
+    const steps = CONFIG_MIGRATIONS.filter(step => step.from >= format).sort((a, b) => a.from - b.from);
+    return { config: steps.reduce((migrated, step) => step.migrate(migrated), config), steps };
+}
+
+// Checks a value against the subset of JSON Schema that CONFIG_SCHEMA uses.
+// Returns one message per problem, e.g. "servers.start must be an http(s) URL"
+function validateConfig(value, schema = CONFIG_SCHEMA, path = '') {
+    const name = path || CONFIG_FILE;
+    const typeOf = v => v === null ? 'null' : Array.isArray(v) ? 'array' : Number.isInteger(v) ? 'integer' : typeof v;
+
+    if ('const' in schema && value !== schema.const) return [\`\${name} must be \${JSON.stringify(schema.const)}\`];
+    if (schema.enum && !schema.enum.includes(value)) return [\`\${name} must be one of: \${schema.enum.join(', ')}\`];
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        const type = typeOf(value);
+        if (!types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+            return [\`\${name} must be \${types.join(' or ')}, not \${type}\`];
+        }
+    }
+
+    const problems = [];
+    if (typeof value === 'string') {
+        if (schema.minLength && value.length < schema.minLength) problems.push(\`\${name} must not be empty\`);
+        if (schema.maxLength && value.length > schema.maxLength) problems.push(\`\${name} must be at most \${schema.maxLength} characters\`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) problems.push(\`\${name} must match \${schema.pattern}\`);
+        if (schema.format === 'uri') {
+            let url;
+            try { url = new URL(value); } catch {}
+            if (!url || !['http:', 'https:'].includes(url.protocol)) problems.push(\`\${name} must be an http(s) URL\`);
+        }
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        problems.push(\`\${name} must be at least \${schema.minimum}\`);
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => problems.push(...validateConfig(item, schema.items, \`\${name}[\${i}]\`)));
+    }
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) problems.push(\`\${path ? path + '.' : ''}\${key} is required\`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const child = path ? path + '.' + key : key;
+            const itemSchema = schema.properties && Object.hasOwn(schema.properties, key) ? schema.properties[key] : schema.additionalProperties;
+            if (itemSchema === false) problems.push(\`\${child} is not a known setting\`);
+            else if (itemSchema && itemSchema !== true) problems.push(...validateConfig(item, itemSchema, child));
+        }
+    }
+    return problems;
+}
+
+// The current directory's koye.json in the current format, or null if there is none.
+// A file that is not valid JSON, too new or fails the schema throws a ConfigError.
 function loadConfig() {
-    const configPath = join(process.cwd(), 'koye.json');
-    if (existsSync(configPath)) {
-        try { return JSON.parse(readFileSync(configPath, 'utf-8')); }
-        catch { return null; }
+    if (!existsSync(configPath())) return null;
+
+    const { config } = migrateConfig(readConfigFile());
+    const problems = validateConfig(config);
+    if (problems.length) {
+        throw new ConfigError(CONFIG_FILE + ' is invalid', { problems, hint: 'Fix it, then check with \\'koye config validate\\'' });
     }
-    return null;
+    return config;
+}
+
+// Copies koye.json aside before an upgrade, never over an earlier backup
+function backupConfig(format) {
+    let backup = \`\${configPath()}.v\${format}.bak\`;
+    for (let n = 1; existsSync(backup); n++) backup = \`\${configPath()}.v\${format}.\${n}.bak\`;
+    cpSync(configPath(), backup);
+    return backup;
 }
 
 function saveConfig(config) {
-    writeFileSync(join(process.cwd(), 'koye.json'), JSON.stringify(config, null, 2));
+    // Saving upgrades a file still in an older format, so keep the original first
+    let format = CONFIG_VERSION;
+    try { format = configFormat(JSON.parse(readFileSync(configPath(), 'utf-8'))); } catch {}
+    if (format < CONFIG_VERSION) {
+        console.log(\`ℹ️  Upgraded \${CONFIG_FILE} to format \${CONFIG_VERSION} (backup: \${basename(backupConfig(format))})\`);
+    }
+
+    writeFileSync(configPath(), JSON.stringify(config, null, 2));
+}
+
+// ============== API Client ==============
+// apiFetch adds auth, a timeout, one token refresh and retries with backoff
+// (idempotent calls only); apiRequest also checks the status and parses JSON.
+// Failures are raised as ApiError subclasses so every command reports them
+// the same way through reportError().
+
+const REQUEST_TIMEOUT = (parseInt(process.env.KOYE_TIMEOUT, 10) || 30) * 1000;
+// A chat reply can take minutes before its first byte (or all of it, without streaming);
+// Ctrl+C cancels it sooner
+const CHAT_TIMEOUT = (parseInt(process.env.KOYE_CHAT_TIMEOUT, 10) || 10 * 60) * 1000;
+const MAX_RETRIES = 2;
+const MAX_RETRY_WAIT = 10; // seconds; longer Retry-After values are reported instead of waited out
+const RETRY_STATUSES = [429, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Set by --verbose (or KOYE_VERBOSE=1): log every request and response to stderr
+let verbose = !!process.env.KOYE_VERBOSE;
+
+function logVerbose(message) {
+    if (verbose) console.error('\\x1b[2m' + message + '\\x1b[0m');
+}
+
+class ApiError extends Error {
+    constructor(message, { status = null, body = null, hint = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.body = body;
+        this.hint = hint;
+    }
+}
+
+// The server could not be reached, timed out, or did not answer like a KOYE server
+class NetworkError extends ApiError {}
+// 401/403 that a token refresh could not fix
+class AuthError extends ApiError {}
+// 402 (out of credits) or 429 (throttled, see retryAfter)
+class QuotaError extends ApiError {}
+// 5xx
+class ServerError extends ApiError {}
+// Any other 4xx: the request itself was rejected
+class ValidationError extends ApiError {}
+
+// Endpoints that authenticate with credentials rather than the saved token
+const CREDENTIAL_ENDPOINTS = [
+    '/auth/login', '/auth/register', '/auth/refresh', '/auth/device/code', '/auth/device/token',
+    '/auth/verification/status', '/auth/resend-verification'
+];
+
+function serverUrl(server) {
+    return server === 'start' ? SERVERS.start : server === 'main' ? SERVERS.main : SERVERS.public;
+}
+
+// Statuses whose Response cannot carry a body, not even an empty one
+const NULL_BODY_STATUSES = [204, 205, 304];
+
+// fetch() capped at \`timeout\` until the whole body is in: the response comes back already read,
+// so a server that sends headers and then stalls cannot hang a command. With stream: true an
+// event stream (the chat's SSE reply) is handed over after its headers and read as it arrives.
+// A caller's own signal (Ctrl+C) works until the body is done and rejects with a plain AbortError.
+async function fetchWithTimeout(url, { stream = false, ...options } = {}, timeout = REQUEST_TIMEOUT) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const onAbort = () => controller.abort();
+    const detach = () => options.signal?.removeEventListener('abort', onAbort);
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+    let streaming = false;
+
+    try {
+        const response = await fetch(url, { ...options, signal: controller.signal });
+        const init = { status: response.status, statusText: response.statusText, headers: response.headers };
+        if (stream && response.body && response.headers.get('content-type')?.includes('text/event-stream')) {
+            streaming = true;
+            return new Response(onStreamEnd(response.body, detach), init);
+        }
+        return new Response(NULL_BODY_STATUSES.includes(response.status) ? null : await response.arrayBuffer(), init);
+    } catch (e) {
+        if (options.signal?.aborted) throw e;
+        if (controller.signal.aborted) throw new NetworkError(\`Request timed out after \${timeout / 1000}s\`);
+        throw e;
+    } finally {
+        clearTimeout(timer);
+        if (!streaming) detach();
+    }
+}
+
+// Passes a body through, calling done() once it ends, fails or is cancelled
+function onStreamEnd(body, done) {
+    const reader = body.getReader();
+    return new ReadableStream({
+        async pull(stream) {
+            try {
+                const { done: finished, value } = await reader.read();
+                if (finished) {
+                    done();
+                    stream.close();
+                } else {
+                    stream.enqueue(value);
+                }
+            } catch (e) {
+                done();
+                stream.error(e);
+            }
+        },
+        cancel(reason) {
+            done();
+            return reader.cancel(reason);
+        }
+    });
+}
+
+async function refreshAuth(auth) {
+    try {
+        const response = await fetchWithTimeout(\`\${SERVERS.start}/auth/refresh\`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refresh_token: auth.refresh_token })
+        });
+        const data = await response.json();
+        if (!data.success) return false;
+
+        saveAuth({ ...auth, token: data.token, refresh_token: data.refresh_token });
+        logVerbose('  refreshed access token');
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function formatWait(seconds) {
+    if (seconds < 60) return seconds + 's';
+    const minutes = Math.ceil(seconds / 60);
+    return minutes < 60 ? minutes + ' min' : Math.ceil(minutes / 60) + ' h';
+}
+
+// Raw fetch with auth, timeout, refresh and retries; callers that want JSON use apiRequest.
+// Extra options: timeout (ms), idempotent (retry a POST that is safe to repeat) and
+// stream (see fetchWithTimeout).
+async function apiFetch(server, endpoint, options = {}) {
+    const { timeout = REQUEST_TIMEOUT, idempotent, ...init } = options;
+    const method = (init.method || 'GET').toUpperCase();
+    const retryable = idempotent ?? IDEMPOTENT_METHODS.includes(method);
+    const url = serverUrl(server) + endpoint;
+    let refreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+        const auth = loadAuth();
+        const headers = { 'Content-Type': 'application/json', ...init.headers };
+        if (auth?.token) headers['Authorization'] = \`Bearer \${auth.token}\`;
+
+        const started = Date.now();
+        logVerbose(\`→ \${method} \${url}\`);
+
+        let response;
+        try {
+            response = await fetchWithTimeout(url, { ...init, headers }, timeout);
+        } catch (e) {
+            if (e.name === 'AbortError') throw e;
+            const reason = e instanceof NetworkError ? e.message : (e.cause?.code || e.cause?.message || e.message);
+            logVerbose(\`✗ \${method} \${url}: \${reason}\`);
+
+            if (retryable && attempt < MAX_RETRIES) {
+                await backoff(attempt);
+                continue;
+            }
+            throw new NetworkError(\`Could not reach \${serverUrl(server)} (\${reason})\`, {
+                hint: \`Check your connection, or the endpoint with 'koye config get servers.\${server}'\`
+            });
+        }
+
+        logVerbose(\`← \${response.status} \${response.statusText} \${method} \${url} (\${Date.now() - started} ms)\`);
+
+        // Access tokens are short-lived: swap the refresh token for a new pair and retry once
+        const rejected = response.status === 401 || response.status === 403;
+        if (rejected && !refreshed && auth?.refresh_token && !CREDENTIAL_ENDPOINTS.includes(endpoint)) {
+            refreshed = true;
+            if (await refreshAuth(auth)) {
+                attempt--;
+                continue;
+            }
+        }
+
+        if (retryable && attempt < MAX_RETRIES && RETRY_STATUSES.includes(response.status)) {
+            const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+            if (!(retryAfter > MAX_RETRY_WAIT)) {
+                await backoff(attempt, retryAfter);
+                continue;
+            }
+        }
+
+        return response;
+    }
+}
+
+// Exponential backoff with jitter, or the server's Retry-After when it sent one
+async function backoff(attempt, retryAfter) {
+    const delay = retryAfter >= 0 ? retryAfter * 1000 : 500 * 2 ** attempt + Math.random() * 250;
+    logVerbose(\`  retrying in \${(delay / 1000).toFixed(1)}s\`);
+    await sleep(delay);
+}
+
+// Turns a response into its JSON body, or throws the matching ApiError
+async function readApiResponse(response, server, endpoint) {
+    const text = await response.text();
+    let body = null;
+    try { body = text ? JSON.parse(text) : null; } catch {}
+    if (verbose && text) logVerbose('  ' + (text.length > 500 ? text.slice(0, 500) + '…' : text));
+
+    if (response.ok && body) return body;
+
+    const status = response.status;
+    if (!body) {
+        const type = response.headers.get('content-type') || 'no content type';
+        const message = \`Unexpected response from \${serverUrl(server)}\${endpoint} (HTTP \${status}, \${type.split(';')[0]})\`;
+        if (status >= 500) throw new ServerError(message, { status, hint: 'The KOYE service had a problem. Try again in a moment.' });
+        throw new NetworkError(message, { status, hint: \`Is servers.\${server} pointing at a KOYE server? Check with 'koye config get servers.\${server}'\` });
+    }
+
+    const message = body.error || body.message || \`HTTP \${status}\`;
+    if (status === 401 || status === 403) {
+        const hint = CREDENTIAL_ENDPOINTS.includes(endpoint) ? null : "Run 'koye login' (or check KOYE_TOKEN)";
+        throw new AuthError(message, { status, body, hint });
+    }
+    if (status === 402) {
+        throw new QuotaError(message, { status, body, hint: "See 'koye usage' and 'koye plan'" });
+    }
+    if (status === 429) {
+        const retryAfter = parseInt(response.headers.get('retry-after'), 10) || body.retry_after || null;
+        const error = new QuotaError(message + (retryAfter ? \`. Try again in \${formatWait(retryAfter)}.\` : '. Try again later.'), { status, body });
+        error.retryAfter = retryAfter;
+        throw error;
+    }
+    if (status >= 500) {
+        throw new ServerError(message, { status, body, hint: 'The KOYE service had a problem. Try again in a moment.' });
+    }
+    throw new ValidationError(message, { status, body });
 }
 
 async function apiRequest(server, endpoint, options = {}) {
-    const auth = loadAuth();
-    const headers = { 'Content-Type': 'application/json', ...options.headers };
-    if (auth?.token) headers['Authorization'] = \`Bearer \${auth.token}\`;
+    const response = await apiFetch(server, endpoint, options);
+    return readApiResponse(response, server, endpoint);
+}
+
+// Downloads a file (a release, an asset) rather than an API reply: no auth, but the same
+// timeout and error types. Resolves the body as a Buffer.
+async function fetchFile(url, { timeout = REQUEST_TIMEOUT } = {}) {
+    logVerbose(\`→ GET \${url}\`);
+    let response;
+    try {
+        response = await fetchWithTimeout(url, {}, timeout);
+    } catch (e) {
+        const reason = e instanceof NetworkError ? e.message : (e.cause?.code || e.cause?.message || e.message);
+        logVerbose(\`✗ GET \${url}: \${reason}\`);
+        throw new NetworkError(\`Could not download \${url} (\${reason})\`, { hint: 'Check your connection and try again' });
+    }
+    logVerbose(\`← \${response.status} \${response.statusText} GET \${url}\`);
+
+    const status = response.status;
+    if (status >= 500) throw new ServerError(\`Download failed: \${url} (HTTP \${status})\`, { status, hint: 'The KOYE service had a problem. Try again in a moment.' });
+    if (!response.ok) throw new ValidationError(\`Download failed: \${url} (HTTP \${status})\`, { status });
+    return Buffer.from(await response.arrayBuffer());
+}
+
+// The same failure as JSON, for --json output
+function errorJson(error) {
+    return {
+        success: false,
+        error: error?.message || String(error),
+        ...(error instanceof ApiError && { error_type: error.name, status: error.status })
+    };
+}
+
+// The one place command failures are printed
+function reportError(error) {
+    if (error instanceof ApiError || error instanceof ConfigError) {
+        const problems = (error.problems || []).map(problem => '\\n   • ' + problem).join('');
+        console.error('\\n❌ ' + error.message + problems + (error.hint ? '\\n   ' + error.hint : '') + '\\n');
+    } else {
+        console.error('\\n❌ ' + (error?.message || error) + '\\n');
+    }
+    // Anything that is not an API or koye.json failure is a bug worth a stack trace
+    if (verbose && !(error instanceof ApiError) && !(error instanceof ConfigError) && error?.stack) console.error(error.stack);
+    process.exitCode = process.exitCode || 1;
+}
+
+// Parses a server-sent event stream, calling onEvent(event, data) with JSON data
+async function readEventStream(response, onEvent) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+        buffer = (buffer + decoder.decode(chunk, { stream: true })).replace(/\\r\\n/g, '\\n');
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\\n\\n')) !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            const data = [];
+            for (const line of block.split('\\n')) {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+            }
+            if (data.length) onEvent(event, JSON.parse(data.join('\\n')));
+        }
+    }
+}
+
+async function createChatSession(config) {
+    const response = await apiRequest('main', '/chat/sessions', {
+        method: 'POST',
+        body: JSON.stringify({ project_id: config.project_id, title: config.project_name })
+    });
+    return response.success ? response.session : null;
+}
+
+// Newest first
+async function listChatSessions(config) {
+    const response = await apiRequest('main', \`/chat/sessions?project_id=\${encodeURIComponent(config.project_id)}\`);
+    if (!response.success) throw new Error(response.error || 'Failed to list sessions');
+    return [...response.sessions].sort((a, b) => new Date(b.updated_at || b.created_at) - new Date(a.updated_at || a.created_at));
+}
+
+async function printRecentMessages(sessionId, limit = 10) {
+    const response = await apiRequest('main', \`/chat/sessions/\${sessionId}/messages?limit=\${limit}\`);
+    if (!response.success || !response.messages?.length) return;
+
+    console.log('  \\x1b[2mRecent messages:\\x1b[0m');
+    for (const message of response.messages.slice(-limit)) {
+        const label = message.role === 'user' ? '\\x1b[36mYou:\\x1b[0m' : '\\x1b[35mKOYE:\\x1b[0m';
+        const content = message.content.length > 300 ? message.content.slice(0, 300) + '…' : message.content;
+        console.log(\`\\n\${label} \${content}\`);
+    }
+    console.log('\\n─────────────────────────────────────────────────');
+}
+
+// Sends a chat message, streaming the reply over SSE when the main server supports it.
+// Streams emit 'delta' { text }, 'action' { action, params }, 'done' { reply, actions } and 'error' { error }.
+async function sendChatMessage(sessionId, content, { onText, onAction, signal, config } = {}) {
+    const response = await apiFetch('main', \`/chat/sessions/\${sessionId}/messages\`, {
+        method: 'POST',
+        headers: { Accept: 'text/event-stream, application/json' },
+        body: JSON.stringify({
+            content,
+            stream: true,
+            context: { os: platform(), cwd: process.cwd(), engine: projectEngine(config) },
+            // Ask the server not to publish assets or keep history when the project has those off
+            options: {
+                allow_make_public: featureEnabled(config, 'allow_make_public'),
+                sync_history: featureEnabled(config, 'sync_chat_history')
+            }
+        }),
+        signal,
+        stream: true,
+        timeout: CHAT_TIMEOUT
+    });
+
+    // Servers without streaming answer with the whole reply as JSON
+    if (!response.ok || !response.headers.get('content-type')?.includes('text/event-stream')) {
+        const data = await readApiResponse(response, 'main', \`/chat/sessions/\${sessionId}/messages\`);
+        if (data.success) {
+            onText?.(data.reply || '');
+            for (const action of data.actions || []) onAction?.(action);
+        }
+        return data;
+    }
+
+    let reply = '';
+    const actions = [];
+    let result = null;
+
+    await readEventStream(response, (event, data) => {
+        switch (event) {
+            case 'delta':
+                reply += data.text || '';
+                onText?.(data.text || '');
+                break;
+            case 'action':
+                actions.push(data);
+                onAction?.(data);
+                break;
+            case 'done':
+                result = { success: true, reply: data.reply ?? reply, actions: data.actions ?? actions };
+                break;
+            case 'error':
+                result = { success: false, error: data.error };
+                break;
+        }
+    });
+
+    return result || { success: false, error: 'Reply ended unexpectedly' };
+}
 
-    const baseUrl = server === 'start' ? SERVERS.start : server === 'main' ? SERVERS.main : SERVERS.public;
-    const response = await fetch(\`\${baseUrl}\${endpoint}\`, { ...options, headers });
-    return response.json();
+// Reads '--name value' or '--name=value' from a command's flags
+function getFlag(flags, name) {
+    const index = flags.findIndex(flag => flag === name || flag.startsWith(name + '='));
+    if (index === -1) return undefined;
+    const flag = flags[index];
+    return flag.includes('=') ? flag.slice(flag.indexOf('=') + 1) : flags[index + 1];
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 function prompt(question) {
@@ -301,18 +1214,113 @@ function runCommand(command) {
     });
 }
 
-async function executeLocalAction(action) {
-    const cwd = process.cwd();
+// ============== Path Policy ==============
+
+// Never touched by AI actions, whatever koye.json says
+const PROTECTED_NAMES = ['.git'];
+const PROTECTED_ROOT_PATHS = ['koye.json', '.koye'];
+
+function globToRegExp(glob) {
+    let pattern = '';
+    for (let i = 0; i < glob.length; i++) {
+        const ch = glob[i];
+        if (ch === '*' && glob[i + 1] === '*') {
+            if (glob[i + 2] === '/') { pattern += '(?:.*/)?'; i += 2; }
+            else { pattern += '.*'; i += 1; }
+        } else if (ch === '*') pattern += '[^/]*';
+        else if (ch === '?') pattern += '[^/]';
+        else pattern += ch.replace(/[.+^$(){}|[\\]\\\\]/g, '\\\\$&');
+    }
+    return new RegExp('^' + pattern + '$');
+}
+
+// gitignore-style: patterns without a slash match any path segment, others match from the root
+function matchesDenyGlob(relPath, globs) {
+    const segments = relPath.split('/');
+    const prefixes = segments.map((_, k) => segments.slice(0, k + 1).join('/'));
+    return globs.find(glob => {
+        const regex = globToRegExp(glob.replace(/^\\/|\\/$/g, ''));
+        return glob.replace(/\\/$/, '').includes('/') ? prefixes.some(p => regex.test(p)) : segments.some(p => regex.test(p));
+    });
+}
+
+function isInside(child, parent) {
+    const rel = relative(parent, child);
+    return rel === '' || (rel !== '..' && !rel.startsWith('..' + sep) && !isAbsolute(rel));
+}
+
+// Resolves an action path against the real project root, following symlinks,
+// and throws with a readable reason if the action must not touch it
+function resolveProjectPath(target, config) {
+    if (typeof target !== 'string' || !target.trim()) throw new Error('Missing path');
+    if (isAbsolute(target)) throw new Error('Absolute paths are not allowed: ' + target);
+
+    const root = realpathSync(process.cwd());
+    let current = resolve(root, target);
+    const missing = [];
+    let real;
+
+    // Only the part of the path that exists can be a symlink
+    while (real === undefined) {
+        try {
+            lstatSync(current);
+        } catch {
+            missing.unshift(basename(current));
+            current = dirname(current);
+            continue;
+        }
+        try {
+            real = realpathSync(current);
+        } catch {
+            throw new Error('Broken symlink in path: ' + target);
+        }
+    }
+
+    const resolved = join(real, ...missing);
+    if (!isInside(resolved, root)) throw new Error('Path is outside the project: ' + target);
+    if (isInside(resolved, existsSync(KOYE_HOME) ? realpathSync(KOYE_HOME) : KOYE_HOME)) {
+        throw new Error('Path is inside the KOYE home directory: ' + target);
+    }
+
+    const relPath = relative(root, resolved).split(sep).join('/');
+    if (relPath === '') throw new Error('Refusing to modify the project root');
+    const isProtectedRootPath = PROTECTED_ROOT_PATHS.some(p => relPath === p || relPath.startsWith(p + '/'));
+    if (isProtectedRootPath || relPath.split('/').some(part => PROTECTED_NAMES.includes(part))) {
+        throw new Error('Path is protected: ' + target);
+    }
+
+    const denied = matchesDenyGlob(relPath, config?.actions?.deny || []);
+    if (denied) throw new Error(\`Path matches deny rule '\${denied}' in koye.json: \${target}\`);
+
+    return resolved;
+}
+
+// Checks every path an action touches; throws when the path policy blocks it
+function resolveActionPaths(action, config = loadConfig()) {
+    const params = action.params || {};
+    switch (action.action) {
+        case 'run_command':
+            return {};
+        case 'rename_file':
+            return { from: resolveProjectPath(params.from, config), to: resolveProjectPath(params.to, config) };
+        default:
+            return { path: resolveProjectPath(params.path, config) };
+    }
+}
+
+// quiet: capture run_command output in the result instead of printing it
+async function executeLocalAction(action, { quiet = false } = {}) {
     try {
+        const paths = resolveActionPaths(action);
         switch (action.action) {
             case 'create_file': {
-                const filePath = join(cwd, action.params.path);
+                const filePath = paths.path;
                 mkdirSync(dirname(filePath), { recursive: true });
                 writeFileSync(filePath, action.params.content || '');
                 return { success: true, action: action.action, path: action.params.path };
             }
             case 'delete_file': {
-                const filePath = join(cwd, action.params.path);
+                const filePath = paths.path;
                 if (existsSync(filePath)) {
                     unlinkSync(filePath);
                     return { success: true, action: action.action, path: action.params.path };
@@ -320,19 +1328,19 @@ async function executeLocalAction(action) {
                 return { success: false, action: action.action, error: 'File not found' };
             }
             case 'rename_file': {
-                const fromPath = join(cwd, action.params.from);
-                const toPath = join(cwd, action.params.to);
+                const fromPath = paths.from;
+                const toPath = paths.to;
                 mkdirSync(dirname(toPath), { recursive: true });
                 renameSync(fromPath, toPath);
                 return { success: true, action: action.action, from: action.params.from, to: action.params.to };
             }
             case 'create_folder': {
-                const folderPath = join(cwd, action.params.path);
+                const folderPath = paths.path;
                 mkdirSync(folderPath, { recursive: true });
                 return { success: true, action: action.action, path: action.params.path };
             }
             case 'delete_folder': {
-                const folderPath = join(cwd, action.params.path);
+                const folderPath = paths.path;
                 if (existsSync(folderPath)) {
                     rmSync(folderPath, { recursive: true, force: true });
                     return { success: true, action: action.action, path: action.params.path };
@@ -340,6 +1348,10 @@ async function executeLocalAction(action) {
                 return { success: false, action: action.action, error: 'Folder not found' };
             }
             case 'run_command': {
+                if (quiet) {
+                    const result = await runCommand(action.params.command);
+                    return { success: true, action: action.action, command: action.params.command, stdout: result.stdout, stderr: result.stderr };
+                }
                 console.log('\\n  ⏳ Running: ' + action.params.command);
                 const result = await runCommand(action.params.command);
                 if (result.stdout) console.log(result.stdout);
@@ -355,63 +1367,549 @@ async function executeLocalAction(action) {
     }
 }
 
-// ============== Commands ==============
+// ============== Action Approval ==============
 
-async function cmdHelp() {
-    console.log(\`
-╔═══════════════════════════════════════════════╗
-║     🎮 KOYE CLI - Game Development AI         ║
-╚═══════════════════════════════════════════════╝
+const LOCAL_ACTIONS = ['create_file', 'delete_file', 'rename_file', 'create_folder', 'delete_folder', 'run_command'];
+const MAX_DIFF_CELLS = 2000000;
+const MAX_PREVIEW_LINES = 60;
 
-Commands:
-  koye init       Initialize KOYE in current directory
-  koye login      Login to your KOYE account
-  koye register   Create a new KOYE account
-  koye chat       Start interactive AI chat
-  koye profile    View your account info
-  koye help       Show this help message
+// Line diff via LCS; returns lines prefixed with ' ', '-' or '+', or null when too large
+function diffLines(before, after) {
+    const a = before.split('\\n');
+    const b = after.split('\\n');
+    const n = a.length;
+    const m = b.length;
+    if (n * m > MAX_DIFF_CELLS) return null;
 
-Examples:
-  koye init       # Creates koye.json and koye-assets/
-  koye chat       # Start chatting with KOYE AI
-\`);
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) { lines.push(' ' + a[i]); i++; j++; }
+        else if (lcs[i + 1][j] >= lcs[i][j + 1]) lines.push('-' + a[i++]);
+        else lines.push('+' + b[j++]);
+    }
+    while (i < n) lines.push('-' + a[i++]);
+    while (j < m) lines.push('+' + b[j++]);
+    return lines;
 }
 
-async function cmdInit() {
-    console.log('\\n🎮 Initializing KOYE...\\n');
+function printDiff(lines, context = 2) {
+    const visible = new Set();
+    lines.forEach((line, k) => {
+        if (line[0] === ' ') return;
+        for (let d = -context; d <= context; d++) visible.add(k + d);
+    });
 
-    const existingConfig = loadConfig();
-    if (existingConfig) {
-        const answer = await prompt('koye.json already exists. Overwrite? (y/N): ');
-        if (answer.toLowerCase() !== 'y') {
-            console.log('Keeping existing configuration.');
+    if (!visible.size) {
+        console.log('    \\x1b[2m(no changes)\\x1b[0m');
+        return;
+    }
+
+    let printed = 0, last = -1;
+    for (const k of [...visible].sort((x, y) => x - y)) {
+        if (k < 0 || k >= lines.length) continue;
+        if (last !== -1 && k > last + 1) console.log('    \\x1b[2m…\\x1b[0m');
+        const line = lines[k];
+        const color = line[0] === '+' ? '\\x1b[32m' : line[0] === '-' ? '\\x1b[31m' : '\\x1b[2m';
+        console.log('    ' + color + line + '\\x1b[0m');
+        last = k;
+        if (++printed >= MAX_PREVIEW_LINES) {
+            console.log('    \\x1b[2m… diff truncated\\x1b[0m');
+            break;
+        }
+    }
+}
+
+function previewAction(action) {
+    const params = action.params;
+    const paths = resolveActionPaths(action);
+
+    switch (action.action) {
+        case 'create_file': {
+            const filePath = paths.path;
+            const content = params.content || '';
+            if (!existsSync(filePath)) {
+                console.log(\`  📄 create_file \${params.path} (new file, \${content.split('\\n').length} lines)\`);
+                printDiff(content.split('\\n').map(line => '+' + line), 0);
+                return;
+            }
+            if (!statSync(filePath).isFile()) {
+                console.log(\`  📄 create_file \${params.path} \\x1b[31m(a directory is already there; this action will fail)\\x1b[0m\`);
+                return;
+            }
+            console.log(\`  📝 create_file \${params.path} (overwrites existing file)\`);
+            const diff = diffLines(readFileSync(filePath, 'utf-8'), content);
+            if (diff) printDiff(diff);
+            else console.log('    \\x1b[2m(file too large to diff)\\x1b[0m');
             return;
         }
+        case 'delete_file':
+            console.log(\`  🗑️  delete_file \${params.path}\`);
+            return;
+        case 'rename_file':
+            console.log(\`  🔀 rename_file \${params.from} → \${params.to}\${existsSync(paths.to) ? ' (overwrites existing file)' : ''}\`);
+            return;
+        case 'create_folder':
+            console.log(\`  📁 create_folder \${params.path}\`);
+            return;
+        case 'delete_folder':
+            console.log(\`  🗑️  delete_folder \${params.path} \\x1b[31m(and everything inside it)\\x1b[0m\`);
+            return;
+        case 'run_command':
+            console.log(\`  ⚡ run_command \\x1b[1m\${params.command}\\x1b[0m\`);
+            return;
     }
+}
 
-    // Get config from server
-    let serverConfig = {};
+// Asks whether to run one action: 'yes', 'no' or 'all' (approve the rest of this reply)
+async function confirmAction(action, ask) {
+    previewAction(action);
+    while (true) {
+        const answer = (await ask('  Run this action? [y]es / [n]o / [a]ll: ')).trim().toLowerCase();
+        if (answer === 'y' || answer === 'yes') return 'yes';
+        if (answer === 'n' || answer === 'no' || answer === '') return 'no';
+        if (answer === 'a' || answer === 'all') return 'all';
+    }
+}
+
+// ============== Undo Journal ==============
+// Each chat turn that changes the project is saved under .koye/history/<turn>/
+// as turn.json plus snapshots of everything its actions overwrote or deleted.
+
+const HISTORY_LIMIT = 50;
+
+function historyDir() {
+    return join(process.cwd(), '.koye', 'history');
+}
+
+function startTurn(prompt, sessionId) {
+    const stamp = new Date().toISOString().replace(/[-:.TZ]/g, '');
+    return {
+        id: stamp + '-' + Math.random().toString(36).slice(2, 6),
+        created_at: new Date().toISOString(),
+        session_id: sessionId,
+        prompt: prompt.slice(0, 200),
+        entries: []
+    };
+}
+
+// Records an action before it runs, snapshotting whatever it is about to replace
+function journalAction(turn, action, paths) {
+    const root = realpathSync(process.cwd());
+    const relPath = target => relative(root, target).split(sep).join('/');
+    const snapshot = target => {
+        if (!existsSync(target)) return null;
+        const name = turn.entries.length + '-' + basename(target);
+        const snapshotDir = join(historyDir(), turn.id, 'snapshots');
+        mkdirSync(snapshotDir, { recursive: true });
+        cpSync(target, join(snapshotDir, name), { recursive: true });
+        return name;
+    };
+
+    let entry;
+    switch (action.action) {
+        case 'rename_file':
+            entry = { action: action.action, from: relPath(paths.from), to: relPath(paths.to), snapshot: snapshot(paths.to) };
+            break;
+        case 'run_command':
+            entry = { action: action.action, command: action.params.command };
+            break;
+        case 'create_folder':
+            entry = { action: action.action, path: relPath(paths.path), existed: existsSync(paths.path) };
+            break;
+        default:
+            entry = { action: action.action, path: relPath(paths.path), existed: existsSync(paths.path), snapshot: snapshot(paths.path) };
+    }
+
+    turn.entries.push(entry);
+    return entry;
+}
+
+// Forgets an entry whose action did not go through
+function discardJournalEntry(turn, entry) {
+    turn.entries = turn.entries.filter(e => e !== entry);
+    if (entry.snapshot) rmSync(join(historyDir(), turn.id, 'snapshots', entry.snapshot), { recursive: true, force: true });
+}
+
+function saveTurn(turn) {
+    if (!turn.entries.length) {
+        rmSync(join(historyDir(), turn.id), { recursive: true, force: true });
+        return;
+    }
+
+    mkdirSync(join(historyDir(), turn.id), { recursive: true });
+    writeFileSync(join(historyDir(), turn.id, 'turn.json'), JSON.stringify(turn, null, 2));
+
+    for (const old of loadTurns().slice(HISTORY_LIMIT)) {
+        rmSync(join(historyDir(), old.id), { recursive: true, force: true });
+    }
+}
+
+// Newest first
+function loadTurns() {
+    if (!existsSync(historyDir())) return [];
+    return readdirSync(historyDir())
+        .sort()
+        .reverse()
+        .map(id => {
+            try { return JSON.parse(readFileSync(join(historyDir(), id, 'turn.json'), 'utf-8')); }
+            catch { return null; }
+        })
+        .filter(Boolean);
+}
+
+function restoreSnapshot(turn, name, target) {
+    rmSync(target, { recursive: true, force: true });
+    mkdirSync(dirname(target), { recursive: true });
+    cpSync(join(historyDir(), turn.id, 'snapshots', name), target, { recursive: true });
+}
+
+// Reverts a turn's entries newest first; returns notes for what could not be undone
+function undoTurn(turn) {
+    const root = process.cwd();
+    const notes = [];
+
+    for (const entry of [...turn.entries].reverse()) {
+        const target = entry.path && join(root, entry.path);
+        switch (entry.action) {
+            case 'create_file':
+                if (entry.snapshot) restoreSnapshot(turn, entry.snapshot, target);
+                else rmSync(target, { force: true });
+                break;
+            case 'delete_file':
+            case 'delete_folder':
+                if (entry.snapshot) restoreSnapshot(turn, entry.snapshot, target);
+                break;
+            case 'rename_file': {
+                const from = join(root, entry.from);
+                const to = join(root, entry.to);
+                if (existsSync(to)) {
+                    mkdirSync(dirname(from), { recursive: true });
+                    renameSync(to, from);
+                }
+                if (entry.snapshot) restoreSnapshot(turn, entry.snapshot, to);
+                break;
+            }
+            case 'create_folder':
+                if (!entry.existed && existsSync(target) && !readdirSync(target).length) rmdirSync(target);
+                else if (!entry.existed) notes.push(\`kept \${entry.path}/ (not empty)\`);
+                break;
+            case 'run_command':
+                notes.push(\`cannot undo command: \${entry.command}\`);
+                break;
+        }
+    }
+
+    rmSync(join(historyDir(), turn.id), { recursive: true, force: true });
+    return notes;
+}
+
+function describeJournalEntry(entry) {
+    if (entry.action === 'rename_file') return \`\${entry.action} \${entry.from} → \${entry.to}\`;
+    if (entry.action === 'run_command') return \`\${entry.action} \${entry.command}\`;
+    return \`\${entry.action} \${entry.path}\`;
+}
+
+// ============== Updates ==============
+
+const UPDATE_CHANNELS = ['stable', 'beta'];
+const UPDATE_CHECK_INTERVAL = 24 * 60 * 60 * 1000;
+
+function compareVersions(a, b) {
+    const [coreA, preA = ''] = a.split('-');
+    const [coreB, preB = ''] = b.split('-');
+    const partsA = coreA.split('.').map(Number);
+    const partsB = coreB.split('.').map(Number);
+
+    for (let i = 0; i < 3; i++) {
+        if (partsA[i] !== partsB[i]) return partsA[i] - partsB[i];
+    }
+    if (preA === preB) return 0;
+    if (!preA) return 1;
+    if (!preB) return -1;
+    return preA.localeCompare(preB, undefined, { numeric: true });
+}
+
+function loadUpdateState() {
+    try { return JSON.parse(readFileSync(UPDATE_FILE, 'utf-8')); }
+    catch { return {}; }
+}
+
+function saveUpdateState(state) {
+    mkdirSync(KOYE_HOME, { recursive: true });
+    writeFileSync(UPDATE_FILE, JSON.stringify(state, null, 2));
+}
+
+// Checks a downloaded CLI against the published SHA256SUMS (and its signature when signing is enabled).
+// A mismatch throws a plain Error; failing to fetch the manifest throws an ApiError.
+async function verifyDownload(content, version) {
+    const query = '?version=' + encodeURIComponent(version);
+
+    const sums = (await fetchFile(\`\${SERVERS.start}/cli/SHA256SUMS\${query}\`)).toString('utf-8');
+
+    if (CLI_PUBLIC_KEY) {
+        const sigText = (await fetchFile(\`\${SERVERS.start}/cli/SHA256SUMS.sig\${query}\`)).toString('utf-8');
+        const signature = Buffer.from(sigText.trim(), 'base64');
+        if (!verify(null, Buffer.from(sums), CLI_PUBLIC_KEY, signature)) throw new Error('signature does not match the KOYE signing key');
+    }
+
+    const expected = sums.match(/^([a-f0-9]{64})\\s+\\*?koye\\.js\\r?$/m)?.[1];
+    if (!expected) throw new Error('koye.js is missing from the checksum manifest');
+
+    const actual = createHash('sha256').update(content).digest('hex');
+    if (actual !== expected) throw new Error('checksum mismatch');
+}
+
+// Shows the result of the last check on exit and refreshes it in the background at most once a day
+function checkForUpdates() {
+    if (process.env.CI || process.env.KOYE_NO_UPDATE_CHECK) return;
+
+    const state = loadUpdateState();
+    if (state.latest && compareVersions(state.latest, CLI_VERSION) > 0) {
+        process.on('exit', () => {
+            console.error(\`\\n\\x1b[33m⬆️  KOYE CLI \${state.latest} is available (you have \${CLI_VERSION}). Run 'koye update'\\x1b[0m\`);
+        });
+    }
+
+    if (Date.now() - (state.last_check || 0) < UPDATE_CHECK_INTERVAL) return;
+
+    fetch(\`\${SERVERS.start}/cli/versions\`, { signal: AbortSignal.timeout(1500) })
+        .then(response => response.json())
+        .then(manifest => {
+            if (!manifest.success) return;
+            const latest = manifest.latest[state.channel || 'stable'];
+            saveUpdateState({ ...loadUpdateState(), latest, last_check: Date.now() });
+        })
+        .catch(() => {});
+}
+
+// ============== Assets ==============
+// koye-assets/ is kept in sync with the project's assets on the main server.
+// .koye/assets.json records, per file, the local hash and the remote hash at the
+// last sync, so status/pull/push can tell which side changed.
+
+// Remote asset type -> key in koye.json "assets"
+const ASSET_TYPES = { image: 'images', video: 'videos', audio: 'audio', model3d: 'models3d', other: 'other' };
+const ASSET_EXTENSIONS = {
+    image: ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg', '.bmp', '.tga', '.psd'],
+    video: ['.mp4', '.webm', '.mov', '.avi', '.mkv'],
+    audio: ['.mp3', '.wav', '.ogg', '.flac', '.m4a'],
+    model3d: ['.glb', '.gltf', '.fbx', '.obj', '.blend', '.stl', '.usdz']
+};
+
+function assetTypeFor(path) {
+    const ext = extname(path).toLowerCase();
+    return Object.keys(ASSET_EXTENSIONS).find(type => ASSET_EXTENSIONS[type].includes(ext)) || 'other';
+}
+
+function assetsRootPath(config) {
+    return config.assets?.root || './koye-assets';
+}
+
+// Path of a remote asset relative to the assets root, e.g. images/hero.png
+function assetRelPath(config, asset) {
+    if (asset.path) return asset.path.replace(/^\\/+/, '');
+    const type = ASSET_TYPES[asset.type] ? asset.type : assetTypeFor(asset.name);
+    return \`\${config.assets?.[ASSET_TYPES[type]] || ASSET_TYPES[type]}/\${asset.name}\`;
+}
+
+function hashBuffer(buffer) {
+    return createHash('sha256').update(buffer).digest('hex');
+}
+
+function scanLocalAssets(config) {
+    const root = join(process.cwd(), assetsRootPath(config));
+    const files = new Map();
+
+    const walk = (dir) => {
+        if (!existsSync(dir)) return;
+        for (const entry of readdirSync(dir, { withFileTypes: true })) {
+            if (entry.name.startsWith('.')) continue;
+            const full = join(dir, entry.name);
+            if (entry.isDirectory()) walk(full);
+            else if (entry.isFile()) {
+                const content = readFileSync(full);
+                files.set(relative(root, full).split(sep).join('/'), { sha256: hashBuffer(content), size: content.length });
+            }
+        }
+    };
+
+    walk(root);
+    return files;
+}
+
+function assetManifestPath() {
+    return join(process.cwd(), '.koye', 'assets.json');
+}
+
+function loadAssetManifest() {
+    try { return JSON.parse(readFileSync(assetManifestPath(), 'utf-8')); }
+    catch { return { files: {} }; }
+}
+
+function saveAssetManifest(manifest) {
+    mkdirSync(dirname(assetManifestPath()), { recursive: true });
+    writeFileSync(assetManifestPath(), JSON.stringify(manifest, null, 2));
+}
+
+async function listRemoteAssets(config) {
+    const response = await apiRequest('main', \`/projects/\${encodeURIComponent(config.project_id)}/assets\`);
+    if (!response.success) throw new Error(response.error || 'Failed to list assets');
+    return response.assets || [];
+}
+
+// One entry per path with a state: synced, new, modified, remote, outdated, conflict,
+// deleted (synced before, since deleted here) or removed (synced before, since deleted on the server).
+// The manifest is what tells a deletion apart from a file that was never synced.
+function compareAssets(config, remoteAssets) {
+    const local = scanLocalAssets(config);
+    const manifest = loadAssetManifest();
+    const remote = new Map(remoteAssets.map(asset => [assetRelPath(config, asset), asset]));
+    const paths = new Set([...local.keys(), ...remote.keys(), ...Object.keys(manifest.files)]);
+    const entries = [];
+
+    for (const path of [...paths].sort()) {
+        const l = local.get(path);
+        const r = remote.get(path);
+        const m = manifest.files[path];
+        let state;
+
+        if (!l && !r) continue;
+        if (!m) state = !l ? 'remote' : !r ? 'new' : r.sha256 && r.sha256 === l.sha256 ? 'synced' : 'conflict';
+        else if (!l) state = 'deleted';
+        else if (!r) state = 'removed';
+        else {
+            const localChanged = l.sha256 !== m.sha256;
+            const remoteChanged = !!r.sha256 && r.sha256 !== m.remote_sha256;
+            if (localChanged && remoteChanged) state = 'conflict';
+            else if (localChanged) state = 'modified';
+            else if (remoteChanged) state = 'outdated';
+            else state = 'synced';
+        }
+
+        entries.push({ path, state, local: l, remote: r });
+    }
+
+    return entries;
+}
+
+// Journals and runs a local action the user (or policy) already approved
+async function runApprovedAction(action, config, turn, options) {
+    let entry;
     try {
-        const response = await apiRequest('start', '/config/init');
-        serverConfig = response.config || {};
+        entry = journalAction(turn, action, resolveActionPaths(action, config));
     } catch (e) {
-        console.log('⚠️  Could not connect to server, using defaults.');
+        return { success: false, action: action.action, error: 'Could not record undo snapshot: ' + e.message };
     }
 
-    const projectName = await prompt('Project name (' + (process.cwd().split('/').pop() || 'my-game') + '): ') || process.cwd().split('/').pop() || 'my-game';
+    const result = await executeLocalAction(action, options);
+    if (!result.success) discardJournalEntry(turn, entry);
+    return result;
+}
+
+// ============== Plans ==============
+// koye.json carries the features and limits of the user's plan, as returned by
+// /config/init. The servers enforce the plan; the CLI honours the flags so it
+// never offers what the plan (or the project owner, by editing koye.json) turned off.
+
+const DEFAULT_FEATURES = { chat_enabled: true, sync_chat_history: true, allow_make_public: false };
+
+function featureEnabled(config, feature) {
+    return config?.features?.[feature] ?? DEFAULT_FEATURES[feature];
+}
+
+// Merges the plan's flags into koye.json. A flag set to false stays off (the project
+// opted out) unless previousFeatures, the flags of the plan koye.json was written
+// for, shows it was only off because that plan lacked it.
+function applyPlanConfig(config, serverConfig, previousFeatures = null) {
+    if (serverConfig.plan) config.plan = serverConfig.plan;
+    if (serverConfig.features) {
+        const features = { ...config.features };
+        for (const [flag, enabled] of Object.entries(serverConfig.features)) {
+            const optedOut = features[flag] === false && previousFeatures?.[flag] !== false;
+            features[flag] = optedOut ? false : enabled;
+        }
+        config.features = features;
+    }
+    if (serverConfig.limits) config.limits = { ...config.limits, ...serverConfig.limits };
+    return config;
+}
+
+// Pulls the current plan's flags into koye.json (after login or an upgrade); best effort
+async function refreshPlanConfig(config, previousPlan = config.plan) {
+    const response = await apiRequest('start', '/config/init').catch(() => null);
+    if (!response?.success) return false;
+
+    let previousFeatures = null;
+    if (previousPlan && previousPlan !== response.config.plan) {
+        const plans = await apiRequest('start', '/plans').catch(() => null);
+        previousFeatures = plans?.plans?.find(plan => plan.id === previousPlan)?.features || null;
+    }
+    saveConfig(applyPlanConfig(config, response.config, previousFeatures));
+    return true;
+}
+
+function printPlanRequired(config, feature) {
+    console.log(\`\\n🔒 '\${feature}' is not available on your \${config?.plan || 'FREE'} plan. Run 'koye plan' to compare tiers.\\n\`);
+}
+
+// ============== Credits ==============
+
+const LOW_CREDIT_THRESHOLD = 20;
+
+// '7d', '12h', '2w' or any date Date understands; null if unparseable
+function parseSince(value) {
+    const relative = /^(\\d+)([hdw])$/.exec(value);
+    if (relative) {
+        const unit = { h: 3600, d: 86400, w: 7 * 86400 }[relative[2]];
+        return new Date(Date.now() - relative[1] * unit * 1000);
+    }
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+// Warns once when the balance drops to the threshold; stays quiet if the balance can't be read
+async function warnIfLowCredits(state) {
+    // A side check: no retries, and never hold the chat up for long
+    const response = await apiRequest('start', '/user/profile', { idempotent: false, timeout: 5000 }).catch(() => null);
+    const credits = response?.user?.credits;
+    if (typeof credits !== 'number') return;
+
+    if (credits > LOW_CREDIT_THRESHOLD) {
+        state.warned = false;
+        return;
+    }
+    if (state.warned) return;
+    state.warned = true;
+
+    console.log(credits <= 0
+        ? '\\n  \\x1b[33m⚠️  You are out of credits. Run \\'koye usage\\' to see where they went.\\x1b[0m'
+        : \`\\n  \\x1b[33m⚠️  Low balance: \${credits} credits left. Run 'koye usage' for details.\\x1b[0m\`);
+}
 
+// ============== Projects ==============
+// Projects live in the start server's registry; koye.json stores the project ID,
+// so every checkout linked to the same project shares its chat history and assets.
+
+// A fresh koye.json for a project, with the plan's features and limits from /config/init.
+// A template's preset replaces individual keys, e.g. { assets: { images: 'sprites' } }
+function createProjectConfig(project, serverConfig = {}, preset = {}) {
     const auth = loadAuth();
     const config = {
-        version: '1.0.0',
-        project_name: projectName,
-        project_id: 'proj_' + Math.random().toString(36).substr(2, 9),
+        $schema: SERVERS.start + '/config/schema',
+        version: CONFIG_VERSION,
+        project_name: project.name,
+        project_id: project.id,
         user_id: auth?.user?.id || '',
-        plan: auth?.user?.plan || 'FREE',
-        servers: {
-            start: SERVERS.start,
-            main: SERVERS.main,
-            make_public: SERVERS.public
-        },
+        plan: serverConfig.plan || auth?.user?.plan || 'FREE',
+        engine: detectEngine(),
         assets: {
             root: './koye-assets',
             images: 'images',
@@ -420,436 +1918,4725 @@ async function cmdInit() {
             models3d: '3dmodels',
             other: 'other'
         },
-        features: {
-            chat_enabled: true,
-            sync_chat_history: true,
-            allow_make_public: true
+        // Set by the plan (see 'koye plan'); switch one off here to opt out for this project
+        features: serverConfig.features || { ...DEFAULT_FEATURES },
+        limits: serverConfig.limits || {},
+        actions: {
+            // Action types that run without asking; everything else is previewed first
+            auto_approve: ['create_folder'],
+            // Extra gitignore-style globs AI actions may never touch
+            deny: ['.env', '.env.*', '*.pem', '*.key']
         }
     };
 
-    saveConfig(config);
+    for (const [key, value] of Object.entries(preset)) {
+        config[key] = value && typeof value === 'object' && !Array.isArray(value) ? { ...config[key], ...value } : value;
+    }
+    return config;
+}
 
-    // Create asset directories
-    const assetsRoot = join(process.cwd(), config.assets.root);
-    ['images', 'videos', 'audio', '3dmodels', 'other'].forEach(folder => {
-        mkdirSync(join(assetsRoot, folder), { recursive: true });
+function createAssetFolders(config) {
+    const assetsRoot = join(process.cwd(), assetsRootPath(config));
+    Object.values(ASSET_TYPES).forEach(key => {
+        mkdirSync(join(assetsRoot, config.assets[key] || key), { recursive: true });
     });
+}
 
-    console.log('\\n✅ KOYE initialized!');
-    console.log('   Created: koye.json');
-    console.log('   Created: koye-assets/');
-    console.log('\\n🚀 Run \\'koye chat\\' to start building with AI\\n');
+// Registers a project (under \`id\` if given, e.g. one made offline). Returns the
+// server's project, or null after explaining why the project stays local for now
+async function registerProject(name, id) {
+    if (!loadAuth()) {
+        console.log('⚠️  Not logged in, so the project is local only. Run \\'koye login\\', then \\'koye link\\' to register it.');
+        return null;
+    }
+
+    try {
+        const response = await apiRequest('start', '/projects', {
+            method: 'POST',
+            body: JSON.stringify({ name, ...(id ? { id } : {}) })
+        });
+        return response.project;
+    } catch (e) {
+        if (!(e instanceof ApiError)) throw e;
+        console.log('⚠️  Could not register the project: ' + e.message.replace(/\\.$/, '') + '. Run \\'koye link\\' to try again.');
+        return null;
+    }
 }
 
-async function cmdLogin() {
-    console.log('\\n📧 Login to KOYE\\n');
+// Looks a project up by ID, or else by its (unique) name; null if the user has none
+async function findProject(target) {
+    const response = await apiRequest('start', '/projects/' + encodeURIComponent(target)).catch(e => {
+        if (e instanceof ValidationError && e.status === 404) return null;
+        throw e;
+    });
+    if (response) return response.project;
+
+    const { projects } = await apiRequest('start', '/projects');
+    const named = projects.filter(project => project.name.toLowerCase() === target.toLowerCase());
+    if (named.length > 1) {
+        throw new ValidationError(\`Several projects are named '\${target}'\`, { hint: 'Link by ID instead, see \\'koye projects\\'' });
+    }
+    return named[0] || null;
+}
+
+// ============== Engine Detection ==============
+// Works out the game engine and toolchain from marker files (project.godot,
+// ProjectSettings/, *.uproject, package.json dependencies, ...). koye.json
+// records the result and chat messages send it, so replies use the engine's
+// paths and commands. Engines are { id, name, version, language, toolchain }.
+
+// Browser engines, by the npm package that gives them away
+const NPM_ENGINES = [
+    { id: 'phaser', name: 'Phaser', packages: ['phaser'] },
+    { id: 'threejs', name: 'Three.js', packages: ['three'] },
+    { id: 'babylonjs', name: 'Babylon.js', packages: ['@babylonjs/core', 'babylonjs'] },
+    { id: 'pixijs', name: 'PixiJS', packages: ['pixi.js'] },
+    { id: 'playcanvas', name: 'PlayCanvas', packages: ['playcanvas'] },
+    { id: 'excalibur', name: 'Excalibur', packages: ['excalibur'] },
+    { id: 'kaplay', name: 'KAPLAY', packages: ['kaplay', 'kaboom'] }
+];
+const NPM_BUNDLERS = ['vite', 'webpack', 'parcel', 'esbuild', 'rollup'];
+const LOCKFILES = { 'pnpm-lock.yaml': 'pnpm', 'yarn.lock': 'yarn', 'bun.lock': 'bun', 'bun.lockb': 'bun', 'package-lock.json': 'npm' };
+
+// Engines recognised by a project file alone
+const MARKER_ENGINES = [
+    { id: 'defold', name: 'Defold', file: 'game.project', language: 'lua' },
+    { id: 'gamemaker', name: 'GameMaker', extension: '.yyp', language: 'gml' }
+];
+
+function readProjectFile(root, name) {
+    try { return readFileSync(join(root, name), 'utf-8'); } catch { return null; }
+}
+
+function findProjectFile(root, extension) {
+    try { return readdirSync(root).find(name => name.endsWith(extension)) || null; } catch { return null; }
+}
+
+function detectGodot(root) {
+    const project = readProjectFile(root, 'project.godot');
+    if (project === null) return null;
+
+    // Godot 4 names its version in config/features; Godot 3 writes config_version=4
+    const version = project.match(/^config\\/features=PackedStringArray\\("(\\d+\\.\\d+)/m)?.[1]
+        || (/^config_version=4\\s*$/m.test(project) ? '3' : null);
+    return { id: 'godot', name: 'Godot', version, language: findProjectFile(root, '.csproj') ? 'csharp' : 'gdscript', toolchain: ['godot'] };
+}
+
+function detectUnity(root) {
+    if (!existsSync(join(root, 'ProjectSettings'))) return null;
+
+    const version = readProjectFile(root, 'ProjectSettings/ProjectVersion.txt')?.match(/^m_EditorVersion:\\s*(\\S+)/m)?.[1] || null;
+    return { id: 'unity', name: 'Unity', version, language: 'csharp', toolchain: ['unity'] };
+}
+
+function detectUnreal(root) {
+    const uproject = findProjectFile(root, '.uproject');
+    if (!uproject) return null;
+
+    // Source builds of the engine are associated by GUID rather than version
+    let association = null;
+    try { association = JSON.parse(readProjectFile(root, uproject)).EngineAssociation; } catch {}
+    const version = /^\\d+\\.\\d+/.test(association || '') ? association : null;
+    return { id: 'unreal', name: 'Unreal Engine', version, language: existsSync(join(root, 'Source')) ? 'cpp' : 'blueprints', toolchain: ['unreal'] };
+}
+
+function detectNpmEngine(root) {
+    let manifest = null;
+    try { manifest = JSON.parse(readProjectFile(root, 'package.json')); } catch {}
+    if (!manifest) return null;
+
+    const dependencies = { ...manifest.devDependencies, ...manifest.dependencies };
+    const engine = NPM_ENGINES.find(candidate => candidate.packages.some(name => dependencies[name]));
+    if (!engine) return null;
+
+    // The installed version beats the range in package.json
+    const name = engine.packages.find(candidate => dependencies[candidate]);
+    let version = null;
+    try { version = JSON.parse(readProjectFile(root, join('node_modules', name, 'package.json'))).version; } catch {}
+    const lockfile = Object.keys(LOCKFILES).find(file => existsSync(join(root, file)));
+
+    return {
+        id: engine.id,
+        name: engine.name,
+        version: version || String(dependencies[name]).match(/\\d+(?:\\.\\d+)*/)?.[0] || null,
+        language: existsSync(join(root, 'tsconfig.json')) || dependencies.typescript ? 'typescript' : 'javascript',
+        toolchain: [lockfile ? LOCKFILES[lockfile] : 'npm', ...NPM_BUNDLERS.filter(bundler => dependencies[bundler])]
+    };
+}
+
+function detectBevy(root) {
+    const match = readProjectFile(root, 'Cargo.toml')?.match(/^bevy\\s*=\\s*(?:"([^"]+)"|\\{[^}]*version\\s*=\\s*"([^"]+)")/m);
+    if (!match) return null;
+
+    return { id: 'bevy', name: 'Bevy', version: (match[1] || match[2]).replace(/^[^\\d]*/, ''), language: 'rust', toolchain: ['cargo'] };
+}
+
+function detectMarkerEngine(root) {
+    const engine = MARKER_ENGINES.find(candidate =>
+        candidate.file ? existsSync(join(root, candidate.file)) : findProjectFile(root, candidate.extension));
+    return engine ? { id: engine.id, name: engine.name, version: null, language: engine.language, toolchain: [engine.id] } : null;
+}
+
+// First match wins, so engines with a definite project file come before package.json
+const ENGINE_DETECTORS = [detectGodot, detectUnity, detectUnreal, detectNpmEngine, detectBevy, detectMarkerEngine];
+
+function detectEngine(root = process.cwd()) {
+    for (const detect of ENGINE_DETECTORS) {
+        const engine = detect(root);
+        if (engine) return engine;
+    }
+    return null;
+}
+
+// koye.json's record wins, since it may have been corrected by hand; otherwise detect once per run
+let detectedEngine;
+function projectEngine(config) {
+    if (config?.engine) return config.engine;
+    if (detectedEngine === undefined) detectedEngine = detectEngine();
+    return detectedEngine;
+}
+
+function describeEngine(engine) {
+    if (!engine) return 'none detected';
+    const details = [engine.language, ...(engine.toolchain || [])].filter(Boolean);
+    return (engine.name || engine.id) + (engine.version ? ' ' + engine.version : '') + (details.length ? ' (' + details.join(', ') + ')' : '');
+}
+
+// ============== Templates ==============
+// Starter projects from the server's catalog ('koye init --template <id>').
+// Files may contain {{project_name}}, {{project_id}} and {{project_slug}}.
+
+function slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'koye-game';
+}
+
+// Template values sit inside markup or quoted strings, so they are escaped by file type:
+// a project called Tom's "Game" <3 must not break index.html, main.js or project.godot
+const escapeQuoted = value => JSON.stringify(String(value)).slice(1, -1);
+const escapeScript = value => escapeQuoted(value).replace(/'/g, "\\\\'");
+const TEMPLATE_ESCAPES = {
+    html: value => String(value).replace(/[&<>"']/g, char => '&#' + char.charCodeAt(0) + ';'),
+    json: escapeQuoted,
+    godot: escapeQuoted,
+    tscn: escapeQuoted,
+    js: escapeScript,
+    mjs: escapeScript,
+    cjs: escapeScript,
+    ts: escapeScript,
+    gd: escapeScript
+};
+
+function fillTemplate(content, vars, path = '') {
+    const escape = TEMPLATE_ESCAPES[extname(path).slice(1).toLowerCase()] || String;
+    return content.replace(/\\{\\{(\\w+)\\}\\}/g, (match, key) => Object.hasOwn(vars, key) ? escape(vars[key]) : match);
+}
+
+async function fetchTemplate(id) {
+    try {
+        return (await apiRequest('start', '/templates/' + encodeURIComponent(id))).template;
+    } catch (e) {
+        if (e.status === 404) e.hint = 'See \\'koye init --list-templates\\'';
+        throw e;
+    }
+}
+
+// Writes the template's files into the current directory. Existing files with
+// different content are listed and only replaced if the user says so.
+async function scaffoldTemplate(template, vars) {
+    const root = process.cwd();
+    const files = template.files.map(file => {
+        const target = resolve(root, file.path);
+        if (isAbsolute(file.path) || target === root || !isInside(target, root)) {
+            throw new Error('Template file outside the project: ' + file.path);
+        }
+        let existing = null;
+        try { existing = existsSync(target) ? readFileSync(target, 'utf-8') : null; } catch { existing = ''; }
+        return { path: file.path, target, existing, content: fillTemplate(file.content, vars, file.path) };
+    });
+
+    const conflicts = files.filter(file => file.existing !== null && file.existing !== file.content);
+    let overwrite = false;
+    if (conflicts.length) {
+        console.log('\\n⚠️  These files already exist:');
+        for (const file of conflicts) console.log('   ' + file.path);
+        overwrite = (await prompt('Replace them with the template\\'s version? (y/N): ')).toLowerCase() === 'y';
+    }
+
+    const result = { written: [], kept: [] };
+    for (const file of files) {
+        if (file.existing === file.content) continue;
+        if (file.existing !== null && !overwrite) {
+            result.kept.push(file.path);
+            continue;
+        }
+        mkdirSync(dirname(file.target), { recursive: true });
+        writeFileSync(file.target, file.content);
+        result.written.push(file.path);
+    }
+    return result;
+}
+
+async function listTemplates() {
+    const { templates } = await apiRequest('start', '/templates');
+    const width = Math.max(...templates.map(template => template.id.length));
+
+    console.log('\\n  Project templates:\\n');
+    for (const template of templates) {
+        console.log(\`  \${template.id.padEnd(width)}  \${template.name}  \\x1b[2m\${template.description}\\x1b[0m\`);
+    }
+    console.log('\\n  Start one with \\'koye init --template <id>\\'\\n');
+}
+
+// ============== Commands ==============
+
+async function cmdHelp() {
+    console.log(\`
+╔═══════════════════════════════════════════════╗
+║     🎮 KOYE CLI - Game Development AI         ║
+╚═══════════════════════════════════════════════╝
+
+Commands:
+  koye init       Initialize KOYE in current directory and register the project
+                  --template <id>  start from a starter project (--list-templates)
+  koye link [id]  Link this folder to one of your projects (or register its koye.json)
+  koye projects   List your projects (--json, rename <id> <name>)
+  koye org        Work in a team (list|create|invite|switch|members|accept)
+  koye login      Login to your KOYE account
+                  --device  approve the login in a browser (headless/SSH)
+  koye logout     Logout and revoke this machine's session
+                  --all     revoke sessions on every machine
+  koye register   Create a new KOYE account
+  koye verify     Finish registration once the email link is clicked
+                  --resend  send a new verification email
+  koye chat       Start interactive AI chat
+                  --dry-run  preview AI file/command actions without running them
+                  --resume [id]  continue the latest (or given) session
+  koye sessions   List chat sessions for this project
+  koye assets     Sync koye-assets/ with the server (list|status|pull|push)
+  koye ask "..."  Ask once without the interactive chat (prompt can be piped on stdin)
+                  --json  machine-readable output   --no-exec  never run local actions
+                  --yes   run all local actions     --session <id>  reuse a session
+  koye profile    View your account info
+  koye usage      Show where your credits went
+                  --since 7d|2026-01-01  --project [id]  --by project|action  --json
+  koye plan       Compare plans and see what yours includes (--json)
+  koye history    Show file changes made by chat actions
+  koye undo [n]   Revert the last n chat turns of changes
+  koye token      Manage personal access tokens (create|list|revoke)
+  koye config     Manage profiles, endpoints and koye.json (list|get|set|unset|validate|migrate)
+  koye version    Show the installed version and check for updates
+  koye update     Update the CLI (--channel stable|beta, --version x.y.z, --allow-unsigned)
+  koye help       Show this help message
+
+Global options:
+  --profile <name>  Use a named profile (or set KOYE_PROFILE)
+  --verbose         Log every API request and response (or set KOYE_VERBOSE=1)
+
+Endpoints come from KOYE_START_URL, KOYE_MAIN_URL and KOYE_PUBLIC_URL, then the
+profile (see 'koye config'). A koye.json "servers" block is only followed for
+hosts you confirm.
+
+Examples:
+  koye init       # Creates koye.json and koye-assets/
+  koye init --template phaser   # Scaffold a Phaser starter game
+  koye chat       # Start chatting with KOYE AI
+  KOYE_TOKEN=koye_pat_... koye profile   # Authenticate in CI
+  git diff | koye ask "review this change" - --json --no-exec
+\`);
+}
+
+async function cmdVersion() {
+    const state = loadUpdateState();
+    const channel = state.channel || 'stable';
+    console.log(\`koye \${CLI_VERSION} (\${channel} channel)\`);
+
+    try {
+        const manifest = await apiRequest('start', '/cli/versions');
+        const latest = manifest.latest?.[channel];
+        if (latest && compareVersions(latest, CLI_VERSION) > 0) {
+            console.log(\`Latest \${channel}: \${latest}. Run 'koye update' to upgrade.\`);
+        } else if (latest) {
+            console.log('You are on the latest ' + channel + ' release.');
+        }
+        saveUpdateState({ ...state, latest, last_check: Date.now() });
+    } catch {
+        // Offline: the local version is all we can report
+    }
+}
+
+async function cmdUpdate(flags = []) {
+    const state = loadUpdateState();
+    const channel = getFlag(flags, '--channel') || state.channel || 'stable';
+    if (!UPDATE_CHANNELS.includes(channel)) {
+        console.log('\\n❌ Channel must be one of: ' + UPDATE_CHANNELS.join(', ') + '\\n');
+        return;
+    }
+
+    const manifest = await apiRequest('start', '/cli/versions');
+    if (!manifest.success) {
+        console.log('\\n❌ ' + (manifest.error || 'Could not fetch CLI versions'));
+        return;
+    }
+
+    const target = getFlag(flags, '--version') || manifest.latest[channel];
+    if (!target) {
+        console.log(\`\\n❌ No release available on the \${channel} channel\\n\`);
+        return;
+    }
+
+    if (target === CLI_VERSION && !flags.includes('--force')) {
+        saveUpdateState({ ...state, channel, latest: manifest.latest[channel], last_check: Date.now() });
+        console.log(\`\\n✅ Already on \${CLI_VERSION} (\${channel})\\n\`);
+        return;
+    }
+
+    // Without a pinned key the checksums come from the same server as the download
+    if (!CLI_PUBLIC_KEY) {
+        if (!flags.includes('--allow-unsigned')) {
+            console.log(\`\\n❌ \${SERVERS.start} does not sign CLI releases, so \${target} cannot be authenticated.\`);
+            console.log('   Run \\'koye update --allow-unsigned\\' to install it with an integrity check only\\n');
+            process.exitCode = 1;
+            return;
+        }
+        console.log('\\n⚠️  Unsigned release: integrity only, not authenticity');
+    }
+
+    console.log(\`\\n📦 Downloading KOYE CLI \${target}...\`);
+    const content = await fetchFile(\`\${SERVERS.start}/cli/koye.js?version=\${encodeURIComponent(target)}\`);
+    try {
+        await verifyDownload(content, target);
+    } catch (e) {
+        if (e instanceof ApiError) throw e;
+        console.log(\`\\n❌ Verification failed (\${e.message}), keeping \${CLI_VERSION}\\n\`);
+        return;
+    }
+
+    // Stage next to the running script, then swap it in only if it parses
+    const selfPath = fileURLToPath(import.meta.url);
+    const stagedPath = join(dirname(selfPath), '.koye.next.js');
+    writeFileSync(stagedPath, content);
+
+    try {
+        await new Promise((resolve, reject) => {
+            execFile(process.execPath, ['--check', stagedPath], error => error ? reject(error) : resolve());
+        });
+    } catch {
+        rmSync(stagedPath, { force: true });
+        console.log('\\n❌ Downloaded CLI is invalid, keeping ' + CLI_VERSION + '\\n');
+        return;
+    }
+
+    renameSync(stagedPath, selfPath);
+    saveUpdateState({ ...state, channel, latest: manifest.latest[channel], last_check: Date.now() });
+    console.log(\`\\n✅ Updated KOYE CLI \${CLI_VERSION} → \${target} (\${channel})\\n\`);
+}
+
+async function cmdInit(flags = []) {
+    if (flags.includes('--list-templates')) return listTemplates();
+
+    const templateId = getFlag(flags, '--template');
+    if (flags.includes('--template') && (!templateId || templateId.startsWith('--'))) {
+        console.log('\\nUsage: koye init --template <id>  (see \\'koye init --list-templates\\')\\n');
+        return;
+    }
+    // Fetched first so an unknown ID fails before anything is asked or written
+    const template = templateId ? await fetchTemplate(templateId) : null;
+
+    console.log('\\n🎮 Initializing KOYE' + (template ? ' from the ' + template.name + ' template' : '') + '...\\n');
+
+    if (existsSync(configPath())) {
+        const answer = await prompt('koye.json already exists. Overwrite? (y/N): ');
+        if (answer.toLowerCase() !== 'y') {
+            console.log('Keeping existing configuration.');
+            return;
+        }
+    }
+
+    // Get config from server
+    let serverConfig = {};
+    try {
+        const response = await apiRequest('start', '/config/init');
+        serverConfig = response.config || {};
+    } catch (e) {
+        console.log('⚠️  Could not connect to server, using defaults.');
+    }
+
+    const projectName = await prompt('Project name (' + (process.cwd().split('/').pop() || 'my-game') + '): ') || process.cwd().split('/').pop() || 'my-game';
+
+    // The ID is made here and registered once koye.json is written, so an init
+    // stopped halfway leaves no project behind; offline, 'koye link' registers it later
+    const project = { id: 'proj_' + randomBytes(6).toString('hex'), name: projectName };
+
+    // Scaffolded first, so the engine is detected from the template's files
+    const scaffold = template
+        ? await scaffoldTemplate(template, { project_name: project.name, project_id: project.id, project_slug: slugify(project.name) })
+        : null;
+    const config = createProjectConfig(project, serverConfig, template?.config);
+    saveConfig(config);
+    createAssetFolders(config);
+    const registered = await registerProject(project.name, project.id);
+
+    console.log('\\n✅ KOYE initialized!');
+    console.log('   Created: koye.json');
+    console.log('   Created: ' + assetsRootPath(config).replace(/^\\.\\//, '') + '/');
+    if (scaffold) {
+        console.log(\`   Template: \${template.name}, \${scaffold.written.length} file(s) written\` +
+            (scaffold.kept.length ? \`, kept your \${scaffold.kept.join(', ')}\` : ''));
+    }
+    console.log('   Project: ' + project.name + ' (' + project.id + ')' + (registered ? '' : ', local only'));
+    console.log('   Engine:  ' + describeEngine(config.engine));
+    if (template?.next_steps?.length) console.log('\\n   Next: ' + template.next_steps.join(' && '));
+    console.log('\\n🚀 Run \\'koye chat\\' to start building with AI\\n');
+}
+
+async function cmdLink(flags = []) {
+    const target = flags.find(flag => !flag.startsWith('--'));
+
+    if (!loadAuth()) {
+        console.log('\\n❌ Not logged in. Run \\'koye login\\'\\n');
+        return;
+    }
+
+    const config = loadConfig();
+    let project;
+
+    if (target) {
+        project = await findProject(target);
+        if (!project) {
+            console.log(\`\\n❌ No project '\${target}' in your account. See 'koye projects'\\n\`);
+            return;
+        }
+    } else if (config?.project_id) {
+        // koye.json from an offline 'koye init' or an older CLI: register its ID so its history carries over
+        project = await findProject(config.project_id);
+        if (project) {
+            console.log(\`\\n✅ Already linked to \${project.name} (\${project.id})\\n\`);
+            return;
+        }
+        project = await registerProject(config.project_name, config.project_id);
+        if (!project) return;
+    } else {
+        const { projects } = await apiRequest('start', '/projects');
+        if (!projects.length) {
+            console.log('\\n  No projects yet. Run \\'koye init\\' to create one.\\n');
+            return;
+        }
+
+        console.log('\\n  Your projects:\\n');
+        projects.forEach((p, i) => console.log(\`  \${String(i + 1).padStart(3)}. \${p.name} (\${p.id})\`));
+        const answer = parseInt(await prompt(\`\\nLink this folder to (1-\${projects.length}): \`), 10);
+        project = projects[answer - 1];
+        if (!project) {
+            console.log('Nothing linked.');
+            return;
+        }
+    }
+
+    if (config) {
+        if (config.project_id && config.project_id !== project.id) {
+            const answer = await prompt(\`This folder is linked to \${config.project_name} (\${config.project_id}). Switch to \${project.name}? (y/N): \`);
+            if (answer.toLowerCase() !== 'y') {
+                console.log('Keeping existing link.');
+                return;
+            }
+        }
+        config.project_id = project.id;
+        config.project_name = project.name;
+        saveConfig(config);
+    } else {
+        const serverConfig = await apiRequest('start', '/config/init').then(response => response.config || {}, () => ({}));
+        const created = createProjectConfig(project, serverConfig);
+        saveConfig(created);
+        createAssetFolders(created);
+        console.log('\\n   Created: koye.json and koye-assets/');
+    }
+
+    console.log(\`\\n✅ Linked to \${project.name} (\${project.id})\`);
+    console.log('   Chat sessions and assets are shared with every checkout linked to it.\\n');
+}
+
+async function cmdProjects(flags = []) {
+    const [subcommand, ...rest] = flags;
+    const json = flags.includes('--json');
+
+    if (!loadAuth()) {
+        console.log('\\n❌ Not logged in. Run \\'koye login\\'\\n');
+        return;
+    }
+
+    if (subcommand === 'rename') {
+        const [id, ...words] = rest;
+        const name = words.join(' ').trim();
+        if (!id || !name) {
+            console.log('\\nUsage: koye projects rename <id> <new name>\\n');
+            return;
+        }
+
+        const { project } = await apiRequest('start', '/projects/' + encodeURIComponent(id), {
+            method: 'PATCH',
+            body: JSON.stringify({ name })
+        });
+
+        const config = loadConfig();
+        if (config?.project_id === project.id) {
+            config.project_name = project.name;
+            saveConfig(config);
+        }
+
+        console.log(\`\\n✅ Renamed \${project.id} to \${project.name}\\n\`);
+        return;
+    }
+
+    const response = await apiRequest('start', '/projects').catch(e => {
+        if (!json) throw e;
+        return errorJson(e);
+    });
+    if (json) {
+        console.log(JSON.stringify(response, null, 2));
+        if (!response.success) process.exitCode = 1;
+        return;
+    }
+
+    if (!response.projects.length) {
+        console.log('\\n  No projects yet. Run \\'koye init\\' to create one.\\n');
+        return;
+    }
+
+    const current = loadConfig()?.project_id;
+    const width = Math.max(...response.projects.map(project => project.id.length));
+    console.log('\\n  Your projects:\\n');
+    for (const project of response.projects) {
+        const marker = project.id === current ? '\\x1b[32m*\\x1b[0m' : ' ';
+        console.log(\`  \${marker} \${project.id.padEnd(width)}  \${project.name}  \\x1b[2m\${project.created_at.slice(0, 10)}\\x1b[0m\`);
+    }
+    if (response.projects.some(project => project.id === current)) console.log('\\n  * linked to this folder');
+    console.log('\\n  Link another checkout with \\'koye link <id>\\'\\n');
+}
+
+// Organization commands act on the active organization unless --org <slug> names another
+async function resolveOrg(flags) {
+    const named = getFlag(flags, '--org');
+    if (named) return named;
+
+    const { active } = await apiRequest('start', '/orgs');
+    if (!active) throw new ValidationError('No organization is active', { hint: "Run 'koye org switch <org>' or pass --org <slug>" });
+    return active;
+}
+
+async function cmdOrg(flags = []) {
+    const [subcommand, ...rest] = flags;
+    const target = rest[0] && !rest[0].startsWith('--') ? rest[0] : null;
+
+    if (!loadAuth()) {
+        console.log('\\n❌ Not logged in. Run \\'koye login\\'\\n');
+        return;
+    }
+
+    switch (subcommand) {
+        case undefined:
+        case 'list': {
+            const { orgs, active } = await apiRequest('start', '/orgs');
+            if (!orgs.length) {
+                console.log('\\n  You are not in any organization. Create one with \\'koye org create <name>\\'\\n');
+                return;
+            }
+
+            const width = Math.max(...orgs.map(org => org.slug.length));
+            console.log('\\n  Your organizations:\\n');
+            console.log(\`  \${active ? ' ' : '\\x1b[32m*\\x1b[0m'} \${'(personal)'.padEnd(width)}\`);
+            for (const org of orgs) {
+                const marker = org.id === active ? '\\x1b[32m*\\x1b[0m' : ' ';
+                console.log(\`  \${marker} \${org.slug.padEnd(width)}  \${org.name}  \\x1b[2m\${org.role}\\x1b[0m\`);
+            }
+            console.log('\\n  * active in this session. Change with \\'koye org switch <org|personal>\\'\\n');
+            return;
+        }
+        case 'create': {
+            const name = rest.filter(word => !word.startsWith('--') && word !== getFlag(rest, '--slug')).join(' ').trim()
+                || (await prompt('Organization name: ')).trim();
+            const slug = getFlag(rest, '--slug');
+
+            const { org } = await apiRequest('start', '/orgs', {
+                method: 'POST',
+                body: JSON.stringify({ name, ...(slug ? { slug } : {}) })
+            });
+
+            console.log(\`\\n✅ Created \${org.name} (\${org.slug}), you are its owner\`);
+            console.log(\`   Work in it with 'koye org switch \${org.slug}', invite people with 'koye org invite <email>'\\n\`);
+            return;
+        }
+        case 'invite': {
+            if (!target) {
+                console.log('\\nUsage: koye org invite <email> [--role member|admin] [--org <slug>]\\n');
+                return;
+            }
+
+            const org = await resolveOrg(rest);
+            const { invite } = await apiRequest('start', \`/orgs/\${encodeURIComponent(org)}/invites\`, {
+                method: 'POST',
+                body: JSON.stringify({ email: target, role: getFlag(rest, '--role') || 'member' })
+            });
+
+            console.log(\`\\n✅ Invited \${invite.email} as \${invite.role} (expires \${invite.expires_at.slice(0, 10)})\`);
+            console.log('   They accept with \\'koye org accept\\' once logged in with that email\\n');
+            return;
+        }
+        case 'switch': {
+            if (!target) {
+                console.log('\\nUsage: koye org switch <org|personal>\\n');
+                return;
+            }
+
+            const { org } = await apiRequest('start', '/orgs/switch', {
+                method: 'POST',
+                body: JSON.stringify({ org: target === 'personal' ? null : target })
+            });
+
+            console.log(org
+                ? \`\\n✅ Now working in \${org.name} (\${org.role}). Projects and credits are shared with its members.\\n\`
+                : '\\n✅ Now working in your personal account\\n');
+            return;
+        }
+        case 'members': {
+            const org = await resolveOrg(rest);
+            const { members } = await apiRequest('start', \`/orgs/\${encodeURIComponent(org)}/members\`);
+
+            const width = Math.max(...members.map(member => (member.email || member.user_id).length));
+            console.log('');
+            for (const member of members) {
+                console.log(\`  \${(member.email || member.user_id).padEnd(width)}  \${member.role.padEnd(6)}  \\x1b[2mjoined \${member.joined_at.slice(0, 10)}\\x1b[0m\`);
+            }
+            console.log('');
+            return;
+        }
+        case 'accept': {
+            const { invites } = await apiRequest('start', '/user/invites');
+            const matching = target ? invites.filter(invite => invite.org && (invite.org.slug === target || invite.org.id === target)) : invites;
+
+            if (!matching.length) {
+                console.log(target ? \`\\n❌ No open invitation from \${target}\\n\` : '\\n  No open invitations.\\n');
+                return;
+            }
+            if (matching.length > 1) {
+                console.log('\\n  Open invitations:\\n');
+                for (const invite of matching) console.log(\`  \${invite.org.slug}  \${invite.org.name}  \\x1b[2mas \${invite.role}\\x1b[0m\`);
+                console.log('\\n  Accept one with \\'koye org accept <org>\\'\\n');
+                return;
+            }
+
+            const { org } = await apiRequest('start', \`/user/invites/\${matching[0].id}/accept\`, { method: 'POST' });
+            console.log(\`\\n✅ Joined \${org.name} as \${org.role}. Work in it with 'koye org switch \${org.slug}'\\n\`);
+            return;
+        }
+        default:
+            console.log(\`
+Usage:
+  koye org [list]
+  koye org create <name> [--slug <slug>]
+  koye org invite <email> [--role member|admin] [--org <slug>]
+  koye org switch <org|personal>
+  koye org members [--org <slug>]
+  koye org accept [org]
+\`);
+    }
+}
+
+async function completeLogin(response) {
+    saveAuth({ token: response.token, refresh_token: response.refresh_token, user: response.user });
+
+    const config = loadConfig();
+    if (config) {
+        const previousPlan = config.plan;
+        config.user_id = response.user.id;
+        config.plan = response.user.plan;
+        saveConfig(config);
+        await refreshPlanConfig(config, previousPlan);
+    }
+
+    console.log('\\n✅ Logged in as: ' + response.user.email);
+    console.log('   Plan: ' + response.user.plan);
+    console.log('   Credits: ' + response.user.credits);
+    console.log('\\n🚀 Run \\'koye chat\\' to start building\\n');
+}
+
+async function cmdLogin(flags = []) {
+    if (flags.includes('--device')) return cmdLoginDevice();
+
+    console.log('\\n📧 Login to KOYE\\n');
+
+    const email = await prompt('Email: ');
+    const password = await prompt('Password: ');
+
+    const response = await apiRequest('start', '/auth/login', {
+        method: 'POST',
+        body: JSON.stringify({ email, password })
+    });
+
+    if (!response.success) {
+        console.log('\\n❌ ' + (response.error || 'Login failed'));
+        return;
+    }
+
+    await completeLogin(response);
+}
+
+async function cmdLoginDevice() {
+    console.log('\\n🔑 Login to KOYE with a device code\\n');
+
+    const start = await apiRequest('start', '/auth/device/code', { method: 'POST' });
+    if (!start.success) {
+        console.log('\\n❌ ' + (start.error || 'Could not start device login'));
+        return;
+    }
+
+    console.log('  1. Open:  ' + start.verification_uri);
+    console.log('  2. Enter: \\x1b[1m' + start.user_code + '\\x1b[0m');
+    console.log('\\n  Or go straight to: ' + start.verification_uri_complete);
+    console.log('\\n⏳ Waiting for approval (Ctrl+C to cancel)...');
+
+    let interval = start.interval || 5;
+    const deadline = Date.now() + (start.expires_in || 600) * 1000;
+
+    while (Date.now() < deadline) {
+        await sleep(interval * 1000);
+
+        // Pending, slow_down and friends arrive as 400s with the state in .error
+        let response;
+        try {
+            response = await apiRequest('start', '/auth/device/token', {
+                method: 'POST',
+                body: JSON.stringify({ device_code: start.device_code })
+            });
+        } catch (e) {
+            if (!(e instanceof ValidationError)) throw e;
+            response = e.body;
+        }
+
+        if (response.success) {
+            await completeLogin(response);
+            return;
+        }
+
+        switch (response.error) {
+            case 'authorization_pending':
+                break;
+            case 'slow_down':
+                interval = response.interval || interval + 5;
+                break;
+            case 'access_denied':
+                console.log('\\n❌ Login request was denied');
+                return;
+            case 'expired_token':
+                console.log('\\n❌ Code expired. Run \\'koye login --device\\' again');
+                return;
+            default:
+                console.log('\\n❌ ' + (response.error || 'Device login failed'));
+                return;
+        }
+    }
+
+    console.log('\\n❌ Code expired. Run \\'koye login --device\\' again');
+}
+
+async function cmdLogout(flags = []) {
+    const auth = loadAuth();
+    if (!auth) {
+        console.log('\\nNot logged in.\\n');
+        return;
+    }
+
+    if (auth.source === 'env') {
+        console.log('\\nUsing KOYE_TOKEN from the environment. Unset it, or revoke it with \\'koye token revoke\\'.\\n');
+        return;
+    }
+
+    // Revoke server-side first; the local logout still happens if the server is unreachable
+    try {
+        const response = await apiRequest('start', '/auth/logout', {
+            method: 'POST',
+            body: JSON.stringify({ all: flags.includes('--all') })
+        });
+        if (!response.success) console.log('⚠️  Could not revoke session on server: ' + (response.error || 'unknown error'));
+    } catch (e) {
+        console.log(e instanceof NetworkError
+            ? '⚠️  Could not reach server, session will expire on its own.'
+            : '⚠️  Could not revoke session on server: ' + e.message);
+    }
+
+    if (existsSync(authFile())) unlinkSync(authFile());
+    console.log('\\n👋 Logged out' + (auth.user?.email ? ' of ' + auth.user.email : '') + '\\n');
+}
+
+async function cmdToken(flags = []) {
+    const [subcommand, ...rest] = flags;
+
+    if (!loadAuth()) {
+        console.log('\\n❌ Not logged in. Run \\'koye login\\'\\n');
+        return;
+    }
+
+    switch (subcommand) {
+        case 'create': {
+            const name = rest[0] && !rest[0].startsWith('--') ? rest[0] : await prompt('Token name: ');
+            const scopes = getFlag(rest, '--scopes');
+            const expires = getFlag(rest, '--expires');
+
+            const response = await apiRequest('start', '/auth/tokens', {
+                method: 'POST',
+                body: JSON.stringify({
+                    name,
+                    scopes: scopes ? scopes.split(',').map(scope => scope.trim()).filter(Boolean) : [],
+                    ...(expires ? { expires_in_days: parseInt(expires, 10) } : {})
+                })
+            });
+
+            if (!response.success) {
+                console.log('\\n❌ ' + (response.error || 'Failed to create token'));
+                return;
+            }
+
+            console.log('\\n✅ Token created: ' + response.access_token.name);
+            console.log('   Expires: ' + response.access_token.expires_at.slice(0, 10));
+            console.log('\\n   \\x1b[1m' + response.token + '\\x1b[0m');
+            console.log('\\n   Copy it now, it will not be shown again.');
+            console.log('   Use it in CI with: export KOYE_TOKEN=<token>\\n');
+            return;
+        }
+        case 'list': {
+            const response = await apiRequest('start', '/auth/tokens');
+            if (!response.success) {
+                console.log('\\n❌ ' + (response.error || 'Failed to list tokens'));
+                return;
+            }
+
+            if (!response.tokens.length) {
+                console.log('\\nNo access tokens. Create one with \\'koye token create <name>\\'\\n');
+                return;
+            }
+
+            console.log('');
+            for (const token of response.tokens) {
+                console.log(\`  \${token.id}  \${token.name}\`);
+                console.log(\`      \${token.prefix}…  scopes: \${token.scopes?.length ? token.scopes.join(',') : 'all'}  expires: \${token.expires_at.slice(0, 10)}  last used: \${token.last_used_at ? token.last_used_at.slice(0, 10) : 'never'}\`);
+            }
+            console.log('');
+            return;
+        }
+        case 'revoke': {
+            const id = rest[0];
+            if (!id) {
+                console.log('\\nUsage: koye token revoke <id>  (see \\'koye token list\\')\\n');
+                return;
+            }
+
+            const response = await apiRequest('start', \`/auth/tokens/\${encodeURIComponent(id)}\`, { method: 'DELETE' });
+            if (!response.success) {
+                console.log('\\n❌ ' + (response.error || 'Failed to revoke token'));
+                return;
+            }
+
+            console.log('\\n✅ Token revoked\\n');
+            return;
+        }
+        default:
+            console.log(\`
+Usage:
+  koye token create <name> [--scopes profile:read,chat,tokens:manage,projects,orgs] [--expires <days>]
+  koye token list
+  koye token revoke <id>
+\`);
+    }
+}
+
+async function cmdRegister() {
+    console.log('\\n🎮 Create KOYE Account\\n');
+
+    const email = await prompt('Email: ');
+    const password = await prompt('Password (min 6 chars): ');
+
+    const response = await apiRequest('start', '/auth/register', {
+        method: 'POST',
+        body: JSON.stringify({ email, password })
+    });
+
+    if (!response.success) {
+        console.log('\\n❌ ' + (response.error || 'Registration failed'));
+        return;
+    }
+
+    savePendingRegistration({ email, registration: response.registration });
+    console.log('\\n📧 Check your email for verification link!');
+
+    const result = await waitForVerification(response.registration, response.interval);
+    if (result !== 'verified') {
+        printVerificationHint(result);
+        return;
+    }
+    clearPendingRegistration();
+
+    // Try to login
+    const loginResponse = await apiRequest('start', '/auth/login', {
+        method: 'POST',
+        body: JSON.stringify({ email, password })
+    }).catch(() => ({ success: false }));
+
+    if (loginResponse.success) {
+        saveAuth({ token: loginResponse.token, refresh_token: loginResponse.refresh_token, user: loginResponse.user });
+        console.log('\\n✅ Account created and logged in!');
+    } else {
+        console.log('\\n⚠️  Please run \\'koye login\\' after verifying your email');
+    }
+}
+
+// A registration waiting for its email link, kept so 'koye verify' can resume polling
+function loadPendingRegistration() {
+    try { return JSON.parse(readFileSync(profileFile('registration'), 'utf-8')); }
+    catch { return null; }
+}
+
+function savePendingRegistration(pending) {
+    mkdirSync(KOYE_HOME, { recursive: true });
+    writeFileSync(profileFile('registration'), JSON.stringify({ ...pending, created_at: new Date().toISOString() }, null, 2));
+}
+
+function clearPendingRegistration() {
+    if (existsSync(profileFile('registration'))) unlinkSync(profileFile('registration'));
+}
+
+const VERIFICATION_WAIT = 15 * 60 * 1000;
+
+// Resolves 'verified', 'timeout' or 'expired'
+async function waitForVerification(registration, interval = 5) {
+    console.log('⏳ Waiting for you to click the link (Ctrl+C to stop, \\'koye verify\\' to resume)...');
+
+    const deadline = Date.now() + VERIFICATION_WAIT;
+    while (Date.now() < deadline) {
+        await sleep(interval * 1000);
+
+        let response;
+        try {
+            response = await apiRequest('start', '/auth/verification/status', {
+                method: 'POST',
+                idempotent: true,
+                body: JSON.stringify({ registration })
+            });
+        } catch (e) {
+            if (e instanceof QuotaError) {
+                interval = Math.max(interval, e.retryAfter || 0);
+                continue;
+            }
+            if (e instanceof ValidationError) return 'expired';
+            throw e;
+        }
+
+        if (response.verified) return 'verified';
+        interval = response.interval || interval;
+    }
+
+    return 'timeout';
+}
+
+function printVerificationHint(result) {
+    if (result === 'expired') {
+        console.log('\\n⚠️  This registration has expired. Run \\'koye verify --resend\\' for a new link\\n');
+    } else {
+        console.log('\\n⚠️  Still not verified. Run \\'koye verify\\' after clicking the link, or \\'koye verify --resend\\'\\n');
+    }
+}
+
+async function cmdVerify(flags = []) {
+    let pending = loadPendingRegistration();
+
+    if (flags.includes('--resend')) {
+        const body = pending ? { registration: pending.registration } : { email: await prompt('Email: ') };
+        const response = await apiRequest('start', '/auth/resend-verification', {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+
+        if (!response.success) {
+            console.log('\\n❌ ' + (response.error || 'Could not resend the verification email') + '\\n');
+            return;
+        }
+
+        console.log('\\n📧 ' + response.message);
+        if (!response.registration) {
+            console.log('   Run \\'koye login\\' once you have clicked the link\\n');
+            return;
+        }
+        pending = { email: pending.email, registration: response.registration };
+        savePendingRegistration(pending);
+    }
+
+    if (!pending) {
+        console.log('\\nNo registration is waiting for verification. Run \\'koye register\\' or \\'koye verify --resend\\'\\n');
+        return;
+    }
+
+    console.log('\\n📧 Verifying ' + pending.email);
+    const result = await waitForVerification(pending.registration);
+    if (result !== 'verified') {
+        printVerificationHint(result);
+        return;
+    }
+
+    clearPendingRegistration();
+    console.log('\\n✅ Email verified! Log in to finish setting up.\\n');
+
+    const password = await prompt('Password: ');
+    const response = await apiRequest('start', '/auth/login', {
+        method: 'POST',
+        body: JSON.stringify({ email: pending.email, password })
+    });
+
+    if (!response.success) {
+        console.log('\\n❌ ' + (response.error || 'Login failed') + '. Run \\'koye login\\' to try again');
+        return;
+    }
+
+    await completeLogin(response);
+}
+
+async function cmdUsage(flags = []) {
+    const json = flags.includes('--json');
+    const params = new URLSearchParams();
+
+    const since = getFlag(flags, '--since');
+    if (since) {
+        const date = parseSince(since);
+        if (!date) {
+            console.log('\\n❌ --since takes a date (2026-01-31) or a duration (12h, 7d, 2w)\\n');
+            return;
+        }
+        params.set('since', date.toISOString());
+    }
+
+    // --project alone means the project in the current directory
+    if (flags.includes('--project') || flags.some(flag => flag.startsWith('--project='))) {
+        const project = getFlag(flags, '--project');
+        const projectId = project && !project.startsWith('--') ? project : loadConfig()?.project_id;
+        if (!projectId) {
+            console.log('\\n❌ No project given and no koye.json here\\n');
+            return;
+        }
+        params.set('project', projectId);
+    }
+
+    const by = getFlag(flags, '--by') || (params.has('project') ? 'action' : 'project');
+    params.set('group_by', by);
+
+    if (!loadAuth()) {
+        console.log('\\n❌ Not logged in. Run \\'koye login\\'\\n');
+        return;
+    }
+
+    const response = await apiRequest('start', '/user/usage?' + params).catch(e => {
+        if (!json) throw e;
+        return errorJson(e);
+    });
+    if (json) {
+        console.log(JSON.stringify(response, null, 2));
+        if (!response.success) process.exitCode = 1;
+        return;
+    }
+    if (!response.success) {
+        console.log('\\n❌ ' + (response.error || 'Failed to fetch usage') + '\\n');
+        return;
+    }
+
+    const day = iso => iso.slice(0, 10);
+    const scope = [response.organization && 'organization ' + response.organization.slug, response.project && 'project ' + response.project].filter(Boolean);
+    console.log(\`\\n  Credit usage \${day(response.since)} → \${day(response.until)}\${scope.length ? '  (' + scope.join(', ') + ')' : ''}\\n\`);
+
+    if (!response.groups.length) {
+        console.log('  No credit activity in this period.');
+    } else {
+        const label = by === 'project' ? 'PROJECT' : 'ACTION';
+        const width = Math.max(label.length, ...response.groups.map(group => String(group.key ?? '(none)').length));
+        const row = (key, used, granted, count) =>
+            '  ' + String(key).padEnd(width) + String(used).padStart(10) + String(granted).padStart(10) + String(count).padStart(9);
+
+        console.log('\\x1b[2m' + row(label, 'USED', 'GRANTED', 'ENTRIES') + '\\x1b[0m');
+        for (const group of response.groups) {
+            console.log(row(group.key ?? '(none)', group.debited, group.granted, group.count));
+        }
+        console.log('\\x1b[2m' + row('TOTAL', response.totals.debited, response.totals.granted, response.totals.count) + '\\x1b[0m');
+        if (response.truncated) console.log('\\n  ⚠️  Only the most recent entries were counted; narrow the range with --since.');
+    }
+
+    console.log(\`\\n  Balance: \${response.balance} \${response.organization ? 'shared ' : ''}credits\\n\`);
+}
+
+const PLAN_ROWS = [
+    ['Price / month', plan => plan.price_usd_month ? '$' + plan.price_usd_month : 'free'],
+    ['Credits / month', plan => plan.limits.monthly_credits],
+    ['Projects', plan => plan.limits.max_projects],
+    ['Asset upload', plan => plan.limits.max_asset_upload_mb + ' MB'],
+    ['Access tokens', plan => plan.limits.max_access_tokens],
+    ['Chat', plan => plan.features.chat_enabled],
+    ['Synced chat history', plan => plan.features.sync_chat_history],
+    ['Make assets public', plan => plan.features.allow_make_public]
+];
+
+async function cmdPlan(flags = []) {
+    const json = flags.includes('--json');
+    const response = await apiRequest('start', '/plans').catch(e => {
+        if (!json) throw e;
+        return errorJson(e);
+    });
+
+    if (json) {
+        console.log(JSON.stringify(response, null, 2));
+        if (!response.success) process.exitCode = 1;
+        return;
+    }
+    if (!response.success) {
+        console.log('\\n❌ ' + (response.error || 'Failed to fetch plans') + '\\n');
+        return;
+    }
+
+    const current = (loadAuth()?.user?.plan || loadConfig()?.plan || 'FREE').toUpperCase();
+    const cell = value => value === true ? '✓' : value === false ? '—' : value === null ? 'unlimited' : String(value);
+    const labelWidth = Math.max(...PLAN_ROWS.map(([label]) => label.length)) + 2;
+    const columnWidth = 12;
+
+    console.log('');
+    console.log(' '.repeat(labelWidth + 2) + response.plans.map(plan =>
+        (plan.id === current ? '\\x1b[32m' + (plan.name + ' *').padEnd(columnWidth) + '\\x1b[0m' : plan.name.padEnd(columnWidth))
+    ).join(''));
+    for (const [label, value] of PLAN_ROWS) {
+        console.log('  ' + label.padEnd(labelWidth) + response.plans.map(plan => cell(value(plan)).padEnd(columnWidth)).join(''));
+    }
+    console.log(\`\\n  * your plan (\${current})\\n\`);
+}
+
+async function cmdProfile() {
+    const auth = loadAuth();
+    if (!auth) {
+        console.log('\\n❌ Not logged in. Run \\'koye login\\'\\n');
+        return;
+    }
+
+    const response = await apiRequest('start', '/user/profile');
+    if (!response.success) {
+        console.log('\\n❌ ' + (response.error || 'Failed to fetch profile'));
+        return;
+    }
+
+    const org = response.organization;
+
+    console.log(\`
+╔═══════════════════════════════════════════════╗
+║              KOYE Account Profile             ║
+╠═══════════════════════════════════════════════╣
+  Email:   \${response.user.email}
+  Plan:    \${response.user.plan}
+  Credits: \${response.user.credits}
+  Org:     \${org ? \`\${org.name} (\${org.role}, \${org.credits} shared credits)\` : 'none (personal)'}
+  Profile: \${activeProfile} (\${SERVERS.start})
+╚═══════════════════════════════════════════════╝
+\`);
+    if (response.pending_invites) {
+        console.log(\`  📨 \${response.pending_invites} pending invitation(s). Run 'koye org accept' to join.\\n\`);
+    }
+}
+
+async function cmdConfig(flags = []) {
+    const [subcommand, key, value] = flags;
+    const userConfig = loadUserConfig();
+    userConfig.profiles = userConfig.profiles || {};
+
+    switch (subcommand) {
+        case 'list': {
+            const current = userConfig.current_profile || 'default';
+            const names = [...new Set(['default', ...Object.keys(userConfig.profiles)])];
+
+            console.log('');
+            for (const name of names) {
+                const marker = name === activeProfile ? '\\x1b[32m*\\x1b[0m' : ' ';
+                let email = null;
+                try { email = JSON.parse(readFileSync(authFile(name), 'utf-8')).user?.email; } catch {}
+                console.log(\`\${marker} \${name}\${name === current ? ' (current)' : ''}  \${email ? email : 'not logged in'}\`);
+
+                const servers = resolveServers(name);
+                for (const server of SERVER_KEYS) {
+                    const own = userConfig.profiles[name]?.servers?.[server];
+                    console.log(\`      servers.\${server.padEnd(7)}\${servers[server]}\${own ? '' : ' \\x1b[2m(inherited)\\x1b[0m'}\`);
+                }
+            }
+            console.log('');
+            return;
+        }
+        case 'get': {
+            if (key === 'profile') {
+                console.log(activeProfile);
+            } else if (key?.startsWith('servers.') && SERVER_KEYS.includes(key.slice(8))) {
+                console.log(SERVERS[key.slice(8)]);
+            } else {
+                console.log('\\nKeys: profile, servers.start, servers.main, servers.public\\n');
+            }
+            return;
+        }
+        case 'set':
+        case 'unset': {
+            if (key === 'profile' && subcommand === 'set') {
+                if (!value || !PROFILE_NAME_PATTERN.test(value)) {
+                    console.log('\\n❌ Profile names may contain letters, numbers, - and _\\n');
+                    return;
+                }
+                userConfig.current_profile = value;
+                if (value !== 'default') userConfig.profiles[value] = userConfig.profiles[value] || {};
+                saveUserConfig(userConfig);
+                console.log(\`\\n✅ Now using profile '\${value}'\\n\`);
+                return;
+            }
+
+            const server = key?.startsWith('servers.') ? key.slice(8) : null;
+            if (!SERVER_KEYS.includes(server)) {
+                console.log('\\nUsage: koye config set profile <name> | koye [--profile <name>] config set|unset servers.<start|main|public> [url]\\n');
+                return;
+            }
+
+            const profile = userConfig.profiles[activeProfile] = userConfig.profiles[activeProfile] || {};
+            profile.servers = profile.servers || {};
+
+            if (subcommand === 'unset') {
+                delete profile.servers[server];
+            } else {
+                let url;
+                try { url = new URL(value); } catch {}
+                if (!url || !['http:', 'https:'].includes(url.protocol)) {
+                    console.log('\\n❌ Expected an http(s) URL\\n');
+                    return;
+                }
+                profile.servers[server] = url.origin + url.pathname.replace(/\\/$/, '');
+            }
+
+            saveUserConfig(userConfig);
+            console.log(\`\\n✅ \${key} \${subcommand === 'unset' ? 'cleared' : 'set'} for profile '\${activeProfile}'\\n\`);
+            return;
+        }
+        case 'validate': {
+            if (!existsSync(configPath())) {
+                console.log('\\n❌ koye.json not found. Run \\'koye init\\' first.\\n');
+                process.exitCode = 1;
+                return;
+            }
+
+            const original = readConfigFile();
+            const { config, steps } = migrateConfig(original);
+            const problems = validateConfig(config);
+
+            if (problems.length) {
+                throw new ConfigError(\`\${CONFIG_FILE} has \${problems.length} problem(s)\`, { problems });
+            }
+            if (steps.length) {
+                console.log(\`\\n⚠️  \${CONFIG_FILE} is valid but uses format \${configFormat(original)}. Run 'koye config migrate' to upgrade it to \${CONFIG_VERSION}.\\n\`);
+                return;
+            }
+            console.log(\`\\n✅ \${CONFIG_FILE} is valid (format \${CONFIG_VERSION})\\n\`);
+            return;
+        }
+        case 'migrate': {
+            if (!existsSync(configPath())) {
+                console.log('\\n❌ koye.json not found. Run \\'koye init\\' first.\\n');
+                process.exitCode = 1;
+                return;
+            }
+
+            const original = readConfigFile();
+            const { config, steps } = migrateConfig(original);
+            if (!steps.length) {
+                console.log(\`\\n✅ \${CONFIG_FILE} is already format \${CONFIG_VERSION}\\n\`);
+                return;
+            }
+
+            // Only write a file that will load afterwards
+            const problems = validateConfig(config);
+            if (problems.length) {
+                throw new ConfigError(\`\${CONFIG_FILE} would still be invalid after migrating, so nothing was changed\`, { problems });
+            }
+
+            const dryRun = flags.includes('--dry-run');
+            console.log('');
+            for (const step of steps) console.log(\`  \${step.from} → \${step.from + 1}  \${step.description}\`);
+            if (dryRun) {
+                console.log('\\n  Dry run: nothing was changed.\\n');
+                return;
+            }
+
+            const backup = backupConfig(configFormat(original));
+            writeFileSync(configPath(), JSON.stringify(config, null, 2));
+            console.log(\`\\n✅ Upgraded \${CONFIG_FILE} to format \${CONFIG_VERSION} (backup: \${basename(backup)})\\n\`);
+            return;
+        }
+        default:
+            console.log(\`
+Usage:
+  koye config list                              Show profiles and their endpoints
+  koye config get <key>                         Print profile or servers.<start|main|public>
+  koye config set profile <name>                Switch (and create) the current profile
+  koye config set servers.<name> <url>          Set an endpoint for the active profile
+  koye config unset servers.<name>              Fall back to a trusted koye.json or built-in endpoint
+  koye config validate                          Check koye.json against the schema
+  koye config migrate [--dry-run]               Upgrade koye.json to the current format (keeps a backup)
+
+  Pick a profile per command with --profile <name> or KOYE_PROFILE.
+\`);
+    }
+}
+
+async function cmdHistory() {
+    const turns = loadTurns();
+    if (!turns.length) {
+        console.log('\\nNo recorded changes. Chat actions are journaled in .koye/history\\n');
+        return;
+    }
+
+    console.log('');
+    turns.forEach((turn, k) => {
+        const when = turn.created_at.slice(0, 16).replace('T', ' ');
+        console.log(\`  #\${k + 1}  \${when}  "\${turn.prompt.split('\\n')[0].slice(0, 60)}"\`);
+        for (const entry of turn.entries) console.log('        ' + describeJournalEntry(entry));
+    });
+    console.log('\\n  Run \\'koye undo [n]\\' to revert the last n turns\\n');
+}
+
+async function cmdUndo(flags = [], ask = prompt) {
+    const count = parseInt(flags.find(flag => !flag.startsWith('--')) || '1', 10);
+    if (!Number.isInteger(count) || count < 1) {
+        console.log('\\nUsage: koye undo [n] [--yes]\\n');
+        return;
+    }
+
+    const turns = loadTurns().slice(0, count);
+    if (!turns.length) {
+        console.log('\\nNothing to undo.\\n');
+        return;
+    }
+
+    console.log(\`\\nThis will revert \${turns.length} turn(s):\`);
+    for (const turn of turns) {
+        for (const entry of turn.entries) console.log('  ' + describeJournalEntry(entry));
+    }
+
+    if (!flags.includes('--yes')) {
+        const answer = await ask('\\nFiles changed since then will be overwritten. Continue? (y/N): ');
+        if (answer.trim().toLowerCase() !== 'y') {
+            console.log('Undo cancelled.');
+            return;
+        }
+    }
+
+    for (const turn of turns) {
+        try {
+            for (const note of undoTurn(turn)) console.log('  ⚠️  ' + note);
+        } catch (e) {
+            console.log('\\n❌ Undo failed: ' + e.message);
+            return;
+        }
+    }
+
+    console.log(\`\\n✅ Reverted \${turns.length} turn(s)\\n\`);
+}
+
+const ASSET_STATE_LABELS = {
+    synced: '\\x1b[2m  synced  \\x1b[0m',
+    new: '\\x1b[32m  new     \\x1b[0m',
+    modified: '\\x1b[33m  modified\\x1b[0m',
+    remote: '\\x1b[36m  remote  \\x1b[0m',
+    outdated: '\\x1b[36m  outdated\\x1b[0m',
+    conflict: '\\x1b[31m  conflict\\x1b[0m',
+    deleted: '\\x1b[35m  deleted \\x1b[0m',
+    removed: '\\x1b[35m  removed \\x1b[0m'
+};
+
+function formatBytes(bytes) {
+    if (bytes == null) return '';
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+    return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+}
+
+// Assets run to hundreds of MB, so a download may take longer than an API call
+const ASSET_DOWNLOAD_TIMEOUT = (parseInt(process.env.KOYE_DOWNLOAD_TIMEOUT, 10) || 10 * 60) * 1000;
+
+async function pullAsset(config, manifest, entry) {
+    const content = await fetchFile(entry.remote.url, { timeout: ASSET_DOWNLOAD_TIMEOUT });
+    const sha256 = hashBuffer(content);
+    if (entry.remote.sha256 && entry.remote.sha256 !== sha256) throw new Error('downloaded file does not match its checksum');
+
+    // Asset names come from the server, so they go through the same path policy as AI actions
+    const assetsRoot = resolve(process.cwd(), assetsRootPath(config));
+    mkdirSync(assetsRoot, { recursive: true });
+    const target = resolveProjectPath(join(assetsRootPath(config), entry.path), config);
+    if (!isInside(target, realpathSync(assetsRoot))) throw new Error('asset path escapes the assets folder');
+
+    mkdirSync(dirname(target), { recursive: true });
+    writeFileSync(target, content);
+    manifest.files[entry.path] = { sha256, remote_sha256: entry.remote.sha256 || sha256, remote_id: entry.remote.id, synced_at: new Date().toISOString() };
+}
+
+async function pushAsset(config, manifest, entry) {
+    const content = readFileSync(join(process.cwd(), assetsRootPath(config), entry.path));
+
+    const maxMb = config.limits?.max_asset_upload_mb;
+    if (maxMb && content.length > maxMb * 1024 * 1024) {
+        throw new Error(\`larger than the \${maxMb} MB upload limit of your \${config.plan || 'FREE'} plan\`);
+    }
+    const sha256 = hashBuffer(content);
+
+    const response = await apiFetch('main', \`/projects/\${encodeURIComponent(config.project_id)}/assets?path=\${encodeURIComponent(entry.path)}\`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/octet-stream',
+            'X-Asset-Type': assetTypeFor(entry.path),
+            'X-Content-SHA256': sha256
+        },
+        body: content
+    });
+    const data = await readApiResponse(response, 'main', '/projects/:id/assets');
+    if (!data.success) throw new Error(data.error || 'upload failed');
+
+    manifest.files[entry.path] = { sha256, remote_sha256: data.asset?.sha256 || sha256, remote_id: data.asset?.id, synced_at: new Date().toISOString() };
+}
+
+async function cmdAssets(flags = []) {
+    const [subcommand, ...rest] = flags;
+    const force = rest.includes('--force');
+
+    const config = loadConfig();
+    if (!config) {
+        console.log('\\n❌ koye.json not found. Run \\'koye init\\' first.\\n');
+        return;
+    }
+
+    if (!['list', 'status', 'pull', 'push'].includes(subcommand)) {
+        console.log(\`
+Usage:
+  koye assets list     List the project's assets on the server
+  koye assets status   Show what changed locally and remotely since the last sync
+  koye assets pull     Download new and changed assets into \${assetsRootPath(config)}/  (--force overwrites conflicts, restores deleted files)
+  koye assets push     Upload new and changed local assets  (--force overwrites conflicts, re-uploads removed files)
+\`);
+        return;
+    }
+
+    if (!loadAuth()) {
+        console.log('\\n❌ Not logged in. Run \\'koye login\\' first.\\n');
+        return;
+    }
+
+    let entries;
+    try {
+        entries = compareAssets(config, await listRemoteAssets(config));
+    } catch (e) {
+        reportError(e);
+        return;
+    }
+
+    if (subcommand === 'list') {
+        const remote = entries.filter(entry => entry.remote);
+        if (!remote.length) {
+            console.log('\\nNo assets on the server for this project yet.\\n');
+            return;
+        }
+        console.log('');
+        for (const entry of remote) {
+            console.log(\`  \${entry.path.padEnd(40)} \${formatBytes(entry.remote.size).padStart(9)}  \${entry.local ? 'local' : 'remote only'}\`);
+        }
+        console.log('');
+        return;
+    }
+
+    if (subcommand === 'status') {
+        const changed = entries.filter(entry => entry.state !== 'synced');
+        console.log(\`\\n  \${entries.length - changed.length} synced, \${changed.length} to sync\\n\`);
+        for (const entry of changed) console.log(\`\${ASSET_STATE_LABELS[entry.state]}  \${entry.path}\`);
+        if (changed.length) console.log('\\n  Run \\'koye assets pull\\' or \\'koye assets push\\'\\n');
+        return;
+    }
+
+    // Deletions are never undone by a sync: pull skips files deleted here and push files
+    // deleted on the server, unless --force brings them back like it settles conflicts
+    const wanted = subcommand === 'pull' ? ['remote', 'outdated'] : ['new', 'modified'];
+    const deletion = subcommand === 'pull' ? 'deleted' : 'removed';
+    const todo = entries.filter(entry => wanted.includes(entry.state) || (force && [deletion, 'conflict'].includes(entry.state)));
+    const conflicts = entries.filter(entry => entry.state === 'conflict' && !force);
+    const deletions = entries.filter(entry => entry.state === deletion && !force);
+
+    if (!todo.length) {
+        const skipped = [conflicts.length && \`\${conflicts.length} conflicts\`, deletions.length && \`\${deletions.length} deleted\`].filter(Boolean);
+        console.log(\`\\n✅ Nothing to \${subcommand}\${skipped.length ? \` (\${skipped.join(', ')}, use --force)\` : ''}\\n\`);
+        return;
+    }
+
+    const manifest = loadAssetManifest();
+    let failed = 0;
+    console.log('');
+    for (const entry of todo) {
+        try {
+            if (subcommand === 'pull') await pullAsset(config, manifest, entry);
+            else await pushAsset(config, manifest, entry);
+            console.log(\`  ✅ \${subcommand === 'pull' ? '⬇' : '⬆'} \${entry.path}\`);
+        } catch (e) {
+            failed++;
+            console.log(\`  ❌ \${entry.path}: \${e.message}\`);
+        }
+    }
+    saveAssetManifest(manifest);
+
+    for (const entry of conflicts) console.log(\`  ⚠️  \${entry.path}: changed locally and remotely, skipped (use --force)\`);
+    for (const entry of deletions) {
+        console.log(\`  ⚠️  \${entry.path}: deleted \${deletion === 'deleted' ? 'locally' : 'on the server'}, not restored (use --force)\`);
+    }
+    console.log(\`\\n\${failed ? '⚠️ ' : '✅'} \${subcommand === 'pull' ? 'Pulled' : 'Pushed'} \${todo.length - failed} of \${todo.length} assets\\n\`);
+}
+
+async function cmdSessions() {
+    const config = loadConfig();
+    if (!config) {
+        console.log('\\n❌ koye.json not found. Run \\'koye init\\' first.\\n');
+        return;
+    }
+
+    if (!loadAuth()) {
+        console.log('\\n❌ Not logged in. Run \\'koye login\\' first.\\n');
+        return;
+    }
+
+    let sessions;
+    try {
+        sessions = await listChatSessions(config);
+    } catch (e) {
+        reportError(e);
+        return;
+    }
+
+    if (!sessions.length) {
+        console.log('\\nNo chat sessions for this project yet. Run \\'koye chat\\' to start one.\\n');
+        return;
+    }
+
+    console.log(\`\\n  Chat sessions for \${config.project_name}:\\n\`);
+    for (const session of sessions) {
+        const when = (session.updated_at || session.created_at || '').slice(0, 16).replace('T', ' ');
+        const count = session.message_count != null ? \`  \${session.message_count} messages\` : '';
+        console.log(\`  \${session.id}  \${when}\${count}  \${session.title || ''}\`);
+    }
+    console.log('\\n  Resume one with: koye chat --resume <id>\\n');
+}
+
+// Exit codes for 'koye ask', so scripts and CI can branch on the outcome
+const ASK_EXIT = { OK: 0, ERROR: 1, USAGE: 2, AUTH: 3, ACTION_FAILED: 4 };
+
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        process.stdin.setEncoding('utf-8');
+        process.stdin.on('data', chunk => { data += chunk; });
+        process.stdin.on('end', () => resolve(data));
+        process.stdin.on('error', reject);
+    });
+}
+
+async function cmdAsk(flags = []) {
+    const json = flags.includes('--json');
+    const noExec = flags.includes('--no-exec');
+    const approveAll = flags.includes('--yes');
+    const sessionFlag = getFlag(flags, '--session');
+
+    const positional = [];
+    for (let i = 0; i < flags.length; i++) {
+        if (flags[i] === '--session') { i++; continue; }
+        if (!flags[i].startsWith('--')) positional.push(flags[i]);
+    }
+
+    const finish = (code, output) => {
+        if (json) console.log(JSON.stringify(output, null, 2));
+        else if (output.error) console.error('❌ ' + output.error);
+        process.exitCode = code;
+    };
+
+    // The prompt comes from the arguments, stdin, or both ('-' marks where stdin goes)
+    let input = positional.join(' ');
+    if (!input || positional.includes('-')) {
+        const piped = process.stdin.isTTY ? '' : (await readStdin()).trim();
+        input = positional.includes('-')
+            ? positional.map(word => word === '-' ? piped : word).join(' ')
+            : piped;
+    }
+
+    if (!input.trim()) {
+        return finish(ASK_EXIT.USAGE, { success: false, error: 'No prompt given. Usage: koye ask "prompt" [--json] [--no-exec] [--yes]' });
+    }
+
+    let config;
+    try {
+        config = loadConfig();
+    } catch (e) {
+        return finish(ASK_EXIT.USAGE, { success: false, error: e.message, problems: e.problems });
+    }
+    if (!config) {
+        return finish(ASK_EXIT.USAGE, { success: false, error: 'koye.json not found. Run \\'koye init\\' first.' });
+    }
+
+    if (!loadAuth()) {
+        return finish(ASK_EXIT.AUTH, { success: false, error: 'Not logged in. Run \\'koye login\\' or set KOYE_TOKEN.' });
+    }
+
+    if (!featureEnabled(config, 'chat_enabled')) {
+        return finish(ASK_EXIT.ERROR, { success: false, error: \`Chat is not available on your \${config.plan || 'FREE'} plan. Run 'koye plan' to compare tiers.\` });
+    }
+
+    const failure = (e, extra = {}) => finish(e instanceof AuthError ? ASK_EXIT.AUTH : ASK_EXIT.ERROR, { ...extra, ...errorJson(e) });
+
+    let sessionId = sessionFlag;
+    if (!sessionId) {
+        let session;
+        try {
+            session = await createChatSession(config);
+        } catch (e) {
+            return failure(e);
+        }
+        if (!session) return finish(ASK_EXIT.ERROR, { success: false, error: 'Failed to create chat session' });
+        sessionId = session.id;
+    }
+
+    let response;
+    try {
+        response = await sendChatMessage(sessionId, input, {
+            config,
+            onText: json ? undefined : text => process.stdout.write(text)
+        });
+    } catch (e) {
+        return failure(e, { session_id: sessionId });
+    }
+    if (!json) process.stdout.write('\\n');
+
+    if (!response.success) {
+        return finish(ASK_EXIT.ERROR, { success: false, session_id: sessionId, error: response.error || 'Failed to send message' });
+    }
+
+    // No one is around to approve: run what koye.json auto-approves, or everything with --yes
+    const autoApprove = config.actions?.auto_approve || [];
+    const turn = startTurn(input, sessionId);
+    const actions = [];
+
+    for (const action of response.actions || []) {
+        let result = action;
+
+        if (LOCAL_ACTIONS.includes(action.action) && action.params) {
+            let blocked = null;
+            try {
+                resolveActionPaths(action, config);
+            } catch (e) {
+                blocked = e.message;
+            }
+
+            if (blocked) result = { success: false, blocked: true, action: action.action, error: blocked };
+            else if (noExec) result = { skipped: true, action: action.action, reason: '--no-exec' };
+            else if (!approveAll && !autoApprove.includes(action.action)) result = { skipped: true, action: action.action, reason: 'not auto-approved (use --yes)' };
+            else result = await runApprovedAction(action, config, turn, { quiet: json });
+        }
+
+        actions.push({ action: action.action, params: action.params || {}, result });
+
+        if (!json) {
+            if (result.skipped) console.error(\`  ⏭️  \${result.action}: skipped, \${result.reason}\`);
+            else if (result.success) console.error(\`  ✅ \${result.action}: \${result.url || result.path || result.command || (result.from ? result.from + ' → ' + result.to : 'done')}\`);
+            else console.error(\`  ❌ \${result.action}: \${result.error}\`);
+        }
+    }
+    if (turn.entries.length) saveTurn(turn);
+
+    const failed = actions.some(({ result }) => result.success === false);
+    finish(failed ? ASK_EXIT.ACTION_FAILED : ASK_EXIT.OK, {
+        success: !failed,
+        session_id: sessionId,
+        reply: response.reply,
+        actions
+    });
+}
+
+async function cmdChat(flags = []) {
+    const dryRun = flags.includes('--dry-run');
+    const resume = flags.includes('--resume');
+    const resumeId = getFlag(flags, '--resume');
+
+    const config = loadConfig();
+    if (!config) {
+        console.log('\\n❌ koye.json not found. Run \\'koye init\\' first.\\n');
+        return;
+    }
+
+    const auth = loadAuth();
+    if (!auth) {
+        console.log('\\n❌ Not logged in. Run \\'koye login\\' first.\\n');
+        return;
+    }
+
+    if (!featureEnabled(config, 'chat_enabled')) {
+        printPlanRequired(config, 'chat');
+        return;
+    }
+
+    console.log(\`
+╔═══════════════════════════════════════════════╗
+║     🎮 KOYE AI - Game Development Chat        ║
+╚═══════════════════════════════════════════════╝
+
+  Logged in as: \${auth.user?.email || 'KOYE_TOKEN'}
+  Project: \${config.project_name}\${dryRun ? '\\n  Mode: dry run (local actions are previewed, never executed)' : ''}
+
+  Type your message, or:
+    koye help   - show commands
+    koye new    - new chat session
+    exit        - quit
+
+─────────────────────────────────────────────────
+\`);
+
+    // Resume an existing session (the latest one if no id is given) or start a new one
+    let sessionId;
+    if (resume) {
+        try {
+            sessionId = resumeId && !resumeId.startsWith('--') ? resumeId : (await listChatSessions(config))[0]?.id;
+        } catch (e) {
+            reportError(e);
+            return;
+        }
+        if (!sessionId) {
+            console.log('  No previous session for this project, starting a new one.\\n');
+        } else {
+            console.log(\`  Resuming session \${sessionId}\\n\`);
+            await printRecentMessages(sessionId);
+        }
+    }
+
+    if (!sessionId) {
+        const session = await createChatSession(config);
+        if (!session) {
+            console.log('\\n❌ Failed to create chat session');
+            return;
+        }
+        sessionId = session.id;
+    }
+
+    const credits = { warned: false };
+    await warnIfLowCredits(credits);
+
+    const rl = createInterface({ input: process.stdin, output: process.stdout });
+    const ask = question => new Promise(resolve => rl.question(question, resolve));
+    const autoApprove = config.actions?.auto_approve || [];
+
+    // Ctrl+C cancels the reply being streamed, or leaves the chat when idle
+    let inFlight = null;
+    rl.on('SIGINT', () => {
+        if (inFlight) {
+            inFlight.abort();
+            return;
+        }
+        console.log('\\n👋 Goodbye!\\n');
+        rl.close();
+    });
+
+    const chat = async () => {
+        rl.question('\\n\\x1b[36mYou:\\x1b[0m ', async (input) => {
+            if (!input.trim()) { chat(); return; }
+            if (input.trim().toLowerCase() === 'exit') { 
+                console.log('\\n👋 Goodbye!\\n'); 
+                rl.close(); 
+                return; 
+            }
+            if (input.trim().toLowerCase() === 'koye help') {
+                console.log(\`
+  koye help      - Show this help
+  koye new       - Start new session
+  koye history   - Show changes made in this project
+  koye undo [n]  - Revert the last n turns of changes
+  Ctrl+C         - Stop the reply in progress
+  exit           - Exit chat
+\`);
+                chat();
+                return;
+            }
+
+            const [word, subcommand, ...rest] = input.trim().split(/\\s+/);
+            if (word.toLowerCase() === 'koye' && subcommand === 'new') {
+                const session = await createChatSession(config).catch(() => null);
+                if (session) {
+                    sessionId = session.id;
+                    console.log('\\n✨ Started a new session (' + sessionId + ')');
+                } else {
+                    console.log('\\n❌ Failed to create chat session');
+                }
+                chat();
+                return;
+            }
+            if (word.toLowerCase() === 'koye' && subcommand === 'history') {
+                await cmdHistory();
+                chat();
+                return;
+            }
+            if (word.toLowerCase() === 'koye' && subcommand === 'undo') {
+                await cmdUndo(rest, ask);
+                chat();
+                return;
+            }
+
+            try {
+                inFlight = new AbortController();
+                process.stdout.write('\\n\\x1b[35mKOYE:\\x1b[0m ');
+
+                let response;
+                try {
+                    response = await sendChatMessage(sessionId, input, {
+                        config,
+                        signal: inFlight.signal,
+                        onText: text => process.stdout.write(text),
+                        onAction: action => {
+                            const target = action.params?.path || action.params?.command || action.params?.from || '';
+                            process.stdout.write(\`\\n  \\x1b[2m⚡ \${action.action}\${target ? ' ' + target : ''}\\x1b[0m\\n\`);
+                        }
+                    });
+                } catch (e) {
+                    if (e.name !== 'AbortError') throw e;
+                    console.log('\\n\\n⏹️  Reply cancelled, no actions were run');
+                    chat();
+                    return;
+                } finally {
+                    inFlight = null;
+                }
+
+                if (response.success) {
+                    console.log('');
+
+                    if (response.actions?.length > 0) {
+                        console.log('\\n─────────────────────────────────────────────────');
+                        let approveAll = false;
+                        const turn = startTurn(input, sessionId);
+
+                        for (const action of response.actions) {
+                            let result = action;
+
+                            // Local actions run on the client, but only once previewed and approved
+                            if (LOCAL_ACTIONS.includes(action.action) && action.params) {
+                                try {
+                                    resolveActionPaths(action, config);
+                                } catch (e) {
+                                    console.log(\`  🚫 \${action.action}: blocked - \${e.message}\`);
+                                    continue;
+                                }
+
+                                if (dryRun) {
+                                    previewAction(action);
+                                    continue;
+                                }
+
+                                let decision = approveAll || autoApprove.includes(action.action) ? 'yes' : await confirmAction(action, ask);
+                                if (decision === 'all') {
+                                    approveAll = true;
+                                    decision = 'yes';
+                                }
+
+                                result = decision === 'yes'
+                                    ? await runApprovedAction(action, config, turn)
+                                    : { skipped: true, action: action.action };
+                            }
+
+                            if (result.skipped) {
+                                console.log(\`  ⏭️  \${result.action}: skipped\`);
+                            } else if (result.success) {
+                                const detail = result.url || result.path || result.command || (result.from ? result.from + ' → ' + result.to : null) || 'done';
+                                console.log(\`  ✅ \${result.action}: \${detail}\`);
+                            } else {
+                                console.log(\`  ❌ \${result.action}: \${result.error}\`);
+                            }
+                        }
+                        if (turn.entries.length) saveTurn(turn);
+                        if (response.actions.some(action => !LOCAL_ACTIONS.includes(action.action) && action.url)) {
+                            console.log('  💡 Run \\'koye assets pull\\' to download generated assets into ' + assetsRootPath(config) + '/');
+                        }
+                        console.log('─────────────────────────────────────────────────');
+                    }
+
+                    await warnIfLowCredits(credits);
+                } else {
+                    console.log('\\n❌ ' + (response.error || 'Failed to send message'));
+                }
+            } catch (e) {
+                reportError(e);
+            }
+
+            chat();
+        });
+    };
+
+    chat();
+}
+
+// ============== Main ==============
+
+// --profile and --verbose are global, so they are taken out before commands see their flags
+const argv = process.argv.slice(2);
+const profileIndex = argv.findIndex(arg => arg === '--profile' || arg.startsWith('--profile='));
+const args = argv.filter((arg, i) =>
+    arg !== '--verbose' && i !== profileIndex && !(i === profileIndex + 1 && argv[profileIndex] === '--profile'));
+const command = args[0];
+
+if (argv.includes('--verbose')) verbose = true;
+applyProfile(profileIndex === -1 ? null : getFlag(argv, '--profile'));
+if (!['config', 'help', '--help', '-h', undefined].includes(command)) await confirmProjectServers();
+
+if (!['update', 'version', '--version', '-v'].includes(command)) checkForUpdates();
+
+let task;
+switch (command) {
+    case 'init': task = cmdInit(args.slice(1)); break;
+    case 'link': task = cmdLink(args.slice(1)); break;
+    case 'projects': task = cmdProjects(args.slice(1)); break;
+    case 'org': task = cmdOrg(args.slice(1)); break;
+    case 'login': task = cmdLogin(args.slice(1)); break;
+    case 'logout': task = cmdLogout(args.slice(1)); break;
+    case 'register': task = cmdRegister(); break;
+    case 'verify': task = cmdVerify(args.slice(1)); break;
+    case 'profile': task = cmdProfile(); break;
+    case 'usage': task = cmdUsage(args.slice(1)); break;
+    case 'plan': task = cmdPlan(args.slice(1)); break;
+    case 'token': task = cmdToken(args.slice(1)); break;
+    case 'history': task = cmdHistory(); break;
+    case 'undo': task = cmdUndo(args.slice(1)); break;
+    case 'chat': task = cmdChat(args.slice(1)); break;
+    case 'sessions': task = cmdSessions(); break;
+    case 'assets': task = cmdAssets(args.slice(1)); break;
+    case 'ask': task = cmdAsk(args.slice(1)); break;
+    case 'version': case '--version': case '-v': task = cmdVersion(); break;
+    case 'update': task = cmdUpdate(args.slice(1)); break;
+    case 'config': task = cmdConfig(args.slice(1)); break;
+    case 'help': case '--help': case '-h': case undefined: task = cmdHelp(); break;
+    default: console.log('Unknown command: ' + command + '. Run \\'koye help\\' for usage.');
+}
+
+// Anything a command does not handle itself (API errors included) is reported the same way
+Promise.resolve(task).catch(reportError);
+`;
+
+// ============== RATE LIMIT STORE ==============
+// Rate limit counters and login lockouts are kept in a store with these async methods:
+//   increment(key, windowMs)  count a hit in the fixed window opened by the first hit;
+//                             resolves { count, reset_at } (reset_at in epoch ms)
+//   get(key)                  resolves the value saved with set(), or null once expired
+//   set(key, value, ttlMs)    saves a JSON-serializable value for ttlMs
+//   delete(key)               forgets the key
+//   close()                   optional, releases timers or connections
+// Keys and values are plain strings and objects, so a Redis or database backed
+// store shared by several instances can implement the same methods.
+
+export const createMemoryRateLimitStore = () => {
+    const entries = new Map();
+
+    const live = (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.expires_at <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expires_at <= now) entries.delete(key);
+        }
+    }, 60 * 1000);
+    sweep.unref();
+
+    return {
+        // Counts a hit in the window starting at the first hit; resolves { count, reset_at }
+        async increment(key, windowMs) {
+            const entry = live(key) || { value: { count: 0 }, expires_at: Date.now() + windowMs };
+            entry.value.count++;
+            entries.set(key, entry);
+            return { count: entry.value.count, reset_at: entry.expires_at };
+        },
+        async get(key) {
+            return live(key)?.value ?? null;
+        },
+        async set(key, value, ttlMs) {
+            entries.set(key, { value, expires_at: Date.now() + ttlMs });
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+        // stop() calls this for the store an instance created itself
+        async close() {
+            clearInterval(sweep);
+        }
+    };
+};
+
+// ============== START SERVER ==============
+// createStartServer() builds an independent instance: its own Express app,
+// auth provider, rate limit counters and device codes. Options fall back to
+// the environment variables of the same settings:
+//   servers        { start, main, make_public } URLs handed to the CLI
+//   jwtSecret      signs access tokens and registration handles (JWT_SECRET)
+//   authProvider   a provider name (AUTH_PROVIDER) or a provider object
+//   logger         console-like { info, error }, used for request logs too
+//   rateLimitStore a store as described above createMemoryRateLimitStore();
+//                  defaults to a new in-memory store for this instance
+// Returns { app, start(port), stop() }; mount `app` in another Express app or
+// start() it on its own port. Throws at creation if a required setting is missing.
+
+export const createStartServer = ({
+    servers = {},
+    jwtSecret = process.env.JWT_SECRET,
+    authProvider: authProviderOption = process.env.AUTH_PROVIDER || 'supabase',
+    logger = console,
+    rateLimitStore: rateLimitStoreOption = null
+} = {}) => {
+    const urls = { ...DEFAULT_SERVER_URLS, ...servers };
+
+    const problems = [];
+    if (!jwtSecret) problems.push('JWT_SECRET is not set');
+    for (const [key, url] of Object.entries(urls)) {
+        if (!URL.canParse(url)) problems.push(`Server URL "${key}" is not a valid URL: ${url}`);
+    }
+    if (authProviderOption === 'supabase' && !(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY)) {
+        problems.push('The supabase auth provider needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    }
+    if (problems.length) {
+        throw new Error(`Invalid start server settings:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    const app = express();
+    let server = null;
+    let shuttingDown = false;
+
+    // Behind a load balancer req.ip is only the client's address if the proxy is trusted
+    if (process.env.TRUST_PROXY) {
+        app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+    }
+
+    app.use(cors());
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+    app.use(morgan('dev', { stream: { write: (line) => logger.info(line.trimEnd()) } }));
+
+    // While draining, tell keep-alive clients not to reuse their connection and
+    // drop each one as soon as its last in-flight response is out
+    app.use((req, res, next) => {
+        if (shuttingDown) res.set('Connection', 'close');
+        res.on('finish', () => {
+            if (shuttingDown) setImmediate(() => server?.closeIdleConnections());
+        });
+        next();
+    });
+
+    // ============== CLI DOWNLOADS ==============
+
+    app.get('/cli/versions', (req, res) => {
+        const releases = loadCliReleases(logger);
+
+        res.json({
+            success: true,
+            latest: Object.fromEntries(CLI_CHANNELS.map(channel => [channel, latestRelease(releases, channel)?.version || null])),
+            releases: releases.map(({ version, channel, released_at = null, notes = null }) => ({ version, channel, released_at, notes }))
+        });
+    });
+
+    app.get('/cli/SHA256SUMS', (req, res) => {
+        const release = resolveCliRelease(req, res, logger);
+        if (!release) return;
+
+        try {
+            res.setHeader('Content-Type', 'text/plain');
+            res.send(renderChecksums(readCliRelease(release, urls)));
+        } catch (error) {
+            logger.error('CLI checksum error:', error);
+            res.status(500).json({ success: false, error: 'Failed to load CLI release' });
+        }
+    });
+
+    // Detached Ed25519 signature over SHA256SUMS, base64 encoded
+    app.get('/cli/SHA256SUMS.sig', (req, res) => {
+        if (!CLI_SIGNING_KEY) {
+            return res.status(404).json({ success: false, error: 'CLI signing is not enabled' });
+        }
+
+        const release = resolveCliRelease(req, res, logger);
+        if (!release) return;
+
+        try {
+            const checksums = renderChecksums(readCliRelease(release, urls));
+            res.setHeader('Content-Type', 'text/plain');
+            res.send(crypto.sign(null, Buffer.from(checksums), CLI_SIGNING_KEY).toString('base64') + '\n');
+        } catch (error) {
+            logger.error('CLI signature error:', error);
+            res.status(500).json({ success: false, error: 'Failed to load CLI release' });
+        }
+    });
+
+    app.get('/cli/signing-key.pem', (req, res) => {
+        if (!CLI_PUBLIC_KEY) {
+            return res.status(404).json({ success: false, error: 'CLI signing is not enabled' });
+        }
+
+        res.setHeader('Content-Type', 'application/x-pem-file');
+        res.send(CLI_PUBLIC_KEY);
+    });
+
+    // The install.sh script that users run via: curl -fsSL https://start.koye.ai/install.sh | bash
+    app.get('/install.sh', (req, res) => {
+        const releases = loadCliReleases(logger);
+        const stableVersion = latestRelease(releases, 'stable')?.version || CLI_VERSION;
+        const betaVersion = latestRelease(releases, 'beta').version;
+
+        res.setHeader('Content-Type', 'text/plain');
+        res.setHeader('Content-Disposition', 'inline; filename="install.sh"');
+        res.send(renderInstallScript({ urls, stableVersion, betaVersion }));
+    });
+
+    // PowerShell install script for Windows users
+    app.get('/install.ps1', (req, res) => {
+        const releases = loadCliReleases(logger);
+        const stableVersion = latestRelease(releases, 'stable')?.version || CLI_VERSION;
+        const betaVersion = latestRelease(releases, 'beta').version;
+
+        res.setHeader('Content-Type', 'text/plain');
+        res.setHeader('Content-Disposition', 'inline; filename="install.ps1"');
+        res.send(renderInstallPs1({ urls, stableVersion, betaVersion }));
+    });
+
+    // ?version=x.y.z pins a release, ?channel=beta picks the newest on that channel
+    app.get('/cli/koye.js', (req, res) => {
+        const release = resolveCliRelease(req, res, logger);
+        if (!release) return;
+
+        try {
+            res.setHeader('Content-Type', 'application/javascript');
+            res.setHeader('X-Koye-Version', release.version);
+            res.send(readCliRelease(release, urls));
+        } catch (error) {
+            logger.error('CLI release error:', error);
+            res.status(500).json({ success: false, error: 'Failed to load CLI release' });
+        }
+    });
+
+    // ============== RATE LIMITING ==============
+    // Fixed-window counters per client IP and per account (email), plus a
+    // progressive lockout once an account collects too many failed logins.
+    // Counters live in `rateLimitStore`; the default in-memory store is per
+    // process, so pass a shared store (see RATE LIMIT STORE) to run several instances.
+
+    const RATE_LIMIT_WINDOW = parseInt(process.env.RATE_LIMIT_WINDOW, 10) || 15 * 60; // seconds
+    const RATE_LIMITS = {
+        login: {
+            ip: parseInt(process.env.RATE_LIMIT_LOGIN_PER_IP, 10) || 20,
+            account: parseInt(process.env.RATE_LIMIT_LOGIN_PER_ACCOUNT, 10) || 10
+        },
+        register: {
+            ip: parseInt(process.env.RATE_LIMIT_REGISTER_PER_IP, 10) || 5,
+            account: parseInt(process.env.RATE_LIMIT_REGISTER_PER_ACCOUNT, 10) || 3
+        },
+        resend: {
+            ip: parseInt(process.env.RATE_LIMIT_RESEND_PER_IP, 10) || 5,
+            account: parseInt(process.env.RATE_LIMIT_RESEND_PER_ACCOUNT, 10) || 3
+        },
+        // The CLI polls this every few seconds while the user clicks the email link
+        verification: {
+            ip: parseInt(process.env.RATE_LIMIT_VERIFICATION_PER_IP, 10) || 240
+        }
+    };
+
+    // Lockout starts after LOGIN_LOCKOUT_THRESHOLD consecutive failures and doubles with each further one
+    const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+    const LOGIN_LOCKOUT_BASE = parseInt(process.env.LOGIN_LOCKOUT_BASE, 10) || 60; // seconds
+    const LOGIN_LOCKOUT_MAX = parseInt(process.env.LOGIN_LOCKOUT_MAX, 10) || 60 * 60; // seconds
+
+    const rateLimitStore = rateLimitStoreOption || createMemoryRateLimitStore();
+
+    const normalizeAccount = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+    const sendTooManyRequests = (res, retryAfter, error = 'Too many requests') => {
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).json({ success: false, error, retry_after: retryAfter });
+    };
+
+    // Rejects with 429 once `ip` requests from one address, or `account` requests
+    // for one email (read from the body or query), hit the route within the window
+    const rateLimit = (name, { ip, account }, onLimited = sendTooManyRequests) => async (req, res, next) => {
+        try {
+            const windowMs = RATE_LIMIT_WINDOW * 1000;
+            const email = normalizeAccount(req.body?.email ?? req.query.email);
+            const checks = [[`${name}:ip:${req.ip}`, ip]];
+            if (email && account) checks.push([`${name}:account:${email}`, account]);
+
+            for (const [key, max] of checks) {
+                const { count, reset_at } = await rateLimitStore.increment(key, windowMs);
+                if (count > max) {
+                    return onLimited(res, Math.max(1, Math.ceil((reset_at - Date.now()) / 1000)));
+                }
+            }
+            next();
+        } catch (error) {
+            // A broken store must not take logins down with it
+            logger.error('Rate limit store error:', error);
+            next();
+        }
+    };
+
+    const lockoutKey = (email) => `lockout:${normalizeAccount(email)}`;
+
+    // Seconds until the account may try a password again, 0 if it is not locked
+    const getLoginLockout = async (email) => {
+        const entry = await rateLimitStore.get(lockoutKey(email));
+        const remaining = entry?.locked_until ? Math.ceil((entry.locked_until - Date.now()) / 1000) : 0;
+        return Math.max(0, remaining);
+    };
+
+    // Only rejected credentials count; an auth backend outage should not lock anyone out
+    const recordLoginFailure = async (email, error) => {
+        if (!(error?.status >= 400 && error.status < 500)) return;
+
+        const key = lockoutKey(email);
+        const failures = ((await rateLimitStore.get(key))?.failures || 0) + 1;
+        const excess = failures - LOGIN_LOCKOUT_THRESHOLD;
+        const lockSeconds = excess >= 0 ? Math.min(LOGIN_LOCKOUT_BASE * 2 ** excess, LOGIN_LOCKOUT_MAX) : 0;
+
+        // Failures are forgotten one window after the last one (or after the lock ends)
+        await rateLimitStore.set(key, {
+            failures,
+            locked_until: lockSeconds ? Date.now() + lockSeconds * 1000 : null
+        }, (lockSeconds + RATE_LIMIT_WINDOW) * 1000);
+    };
+
+    const clearLoginFailures = (email) => rateLimitStore.delete(lockoutKey(email));
+
+    const LOCKOUT_MESSAGE = 'Too many failed login attempts, account temporarily locked';
+
+    // ============== AUTH PROVIDERS ==============
+    // Everything the server stores about users goes through `authProvider`:
+    // accounts and passwords, email verification, CLI sessions, personal access
+    // tokens, projects, organizations and the credit ledger. AUTH_PROVIDER picks
+    // the implementation:
+    //   supabase (default)  Supabase Auth + the tables in supabase/migrations
+    //   local               a JSON file under LOCAL_AUTH_DIR with bcrypt password
+    //                       hashes; verification and invitation emails go to an outbox file
+    // Users have the Supabase shape: { id, email, email_confirmed_at, user_metadata, created_at }.
+    // Methods reject with an Error carrying `status` (4xx for bad input or
+    // credentials) or, for debits, `code: 'insufficient_credits'` and `balance`.
+    // createUser marks a taken address with `code: 'email_exists'`.
+
+    const providerError = (message, status, code) => Object.assign(new Error(message), { status, code });
+
+    const insufficientCredits = (balance) =>
+        Object.assign(new Error('Insufficient credits'), { code: 'insufficient_credits', balance });
+
+    const createSupabaseAuthProvider = () => {
+        const supabase = createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_ROLE_KEY
+        );
+
+        // Rows of an organization, or a user's own rows outside any organization
+        const ownedBy = (query, { userId, orgId }) =>
+            orgId ? query.eq('org_id', orgId) : query.eq('user_id', userId).is('org_id', null);
+
+        return {
+            name: 'supabase',
+
+            async createUser({ email, password, metadata }) {
+                const create = () => supabase.auth.admin.createUser({
+                    email,
+                    password,
+                    email_confirm: false,
+                    user_metadata: metadata
+                });
+                const taken = (error) => error.code === 'email_exists' || /already been registered/i.test(error.message);
+
+                let { data, error } = await create();
+
+                // An org invitation left a passwordless user for the address (see sendInvitationEmail).
+                // It holds nothing yet, so it is replaced by a normal, unverified registration.
+                if (error && taken(error)) {
+                    const { data: placeholderId, error: lookupError } = await supabase.rpc('invited_placeholder_user', { p_email: normalizeAccount(email) });
+                    if (lookupError) throw lookupError;
+                    if (placeholderId) {
+                        const { error: deleteError } = await supabase.auth.admin.deleteUser(placeholderId);
+                        if (deleteError) throw deleteError;
+                        ({ data, error } = await create());
+                    }
+                }
+
+                if (error) throw providerError(error.message, error.status || 400, taken(error) ? 'email_exists' : undefined);
+                return data.user;
+            },
+
+            async signInWithPassword(email, password) {
+                const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+                if (error) throw providerError(error.message, error.status);
+                return data.user;
+            },
+
+            async getUser(id) {
+                const { data, error } = await supabase.auth.admin.getUserById(id);
+                return error ? null : data.user;
+            },
+
+            async sendVerificationEmail(email) {
+                const { error } = await supabase.auth.resend({ type: 'signup', email });
+                if (error) throw providerError(error.message, error.status);
+            },
+
+            async createSession(session) {
+                const { data, error } = await supabase.from('cli_sessions').insert(session).select('id').single();
+                if (error) throw error;
+                return data.id;
+            },
+
+            async getSession(id) {
+                const { data, error } = await supabase.from('cli_sessions').select('*').eq('id', id).maybeSingle();
+                if (error) throw error;
+                return data;
+            },
+
+            // Matches the current or the previous (rotated-out) refresh token
+            async findSessionByRefreshHash(tokenHash) {
+                const { data, error } = await supabase
+                    .from('cli_sessions')
+                    .select('*')
+                    .or(`refresh_token_hash.eq.${tokenHash},previous_token_hash.eq.${tokenHash}`)
+                    .maybeSingle();
+                if (error) throw error;
+                return data;
+            },
+
+            // Applies `changes` only if the session still has `tokenHash`; false if a concurrent refresh won
+            async rotateSession(id, tokenHash, changes) {
+                const { data, error } = await supabase
+                    .from('cli_sessions')
+                    .update(changes)
+                    .eq('id', id)
+                    .eq('refresh_token_hash', tokenHash)
+                    .select('id');
+                if (error) throw error;
+                return data.length > 0;
+            },
+
+            async revokeSessions(match) {
+                const { error } = await supabase
+                    .from('cli_sessions')
+                    .update({ revoked_at: new Date().toISOString() })
+                    .match(match)
+                    .is('revoked_at', null);
+                if (error) throw error;
+            },
+
+            async updateSessions(match, changes) {
+                const { error } = await supabase.from('cli_sessions').update(changes).match(match);
+                if (error) throw error;
+            },
+
+            async createAccessToken(token) {
+                const { data, error } = await supabase.from('personal_access_tokens').insert(token).select('*').single();
+                if (error) throw error;
+                return data;
+            },
+
+            async findAccessTokenByHash(tokenHash) {
+                const { data, error } = await supabase
+                    .from('personal_access_tokens')
+                    .select('*')
+                    .eq('token_hash', tokenHash)
+                    .maybeSingle();
+                if (error) throw error;
+                return data;
+            },
+
+            async touchAccessToken(id) {
+                await supabase.from('personal_access_tokens').update({ last_used_at: new Date().toISOString() }).eq('id', id);
+            },
+
+            // Unrevoked tokens, newest first; `activeOnly` also drops expired ones
+            async listAccessTokens(userId, { activeOnly = false } = {}) {
+                let query = supabase
+                    .from('personal_access_tokens')
+                    .select('*')
+                    .eq('user_id', userId)
+                    .is('revoked_at', null)
+                    .order('created_at', { ascending: false });
+                if (activeOnly) query = query.gt('expires_at', new Date().toISOString());
+
+                const { data, error } = await query;
+                if (error) throw error;
+                return data;
+            },
+
+            // false if the user has no such unrevoked token
+            async revokeAccessToken(userId, id) {
+                const { data, error } = await supabase
+                    .from('personal_access_tokens')
+                    .update({ revoked_at: new Date().toISOString() })
+                    .eq('id', id)
+                    .eq('user_id', userId)
+                    .is('revoked_at', null)
+                    .select('id');
+                if (error) throw error;
+                return data.length > 0;
+            },
+
+            async createProject(project) {
+                const { data, error } = await supabase.from('projects').insert(project).select('*').single();
+                // Unique per owner, see supabase/migrations/*_project_ids_per_owner.sql
+                if (error?.code === '23505') throw providerError('Project ID is already taken', 409);
+                if (error) throw error;
+                return data;
+            },
+
+            // `owner` is { orgId } for an organization's projects, else { userId } for personal ones
+            // Oldest first
+            async listProjects(owner) {
+                const { data, error } = await ownedBy(supabase.from('projects').select('*'), owner)
+                    .order('created_at', { ascending: true });
+                if (error) throw error;
+                return data;
+            },
+
+            async getProject(owner, id) {
+                const { data, error } = await ownedBy(supabase.from('projects').select('*'), owner)
+                    .eq('id', id)
+                    .maybeSingle();
+                if (error) throw error;
+                return data;
+            },
+
+            // null if the owner has no such project
+            async updateProject(owner, id, changes) {
+                const { data, error } = await ownedBy(
+                    supabase.from('projects').update({ ...changes, updated_at: new Date().toISOString() }),
+                    owner
+                )
+                    .eq('id', id)
+                    .select('*')
+                    .maybeSingle();
+                if (error) throw error;
+                return data;
+            },
+
+            async createOrg(org, ownerId) {
+                const { data, error } = await supabase.from('orgs').insert(org).select('*').single();
+                if (error?.code === '23505') throw providerError('That organization slug is already taken', 409);
+                if (error) throw error;
+
+                const { error: memberError } = await supabase
+                    .from('org_members')
+                    .insert({ org_id: data.id, user_id: ownerId, role: 'owner' });
+                if (memberError) {
+                    await supabase.from('orgs').delete().eq('id', data.id);
+                    throw memberError;
+                }
+                return data;
+            },
+
+            async getOrg(id) {
+                const { data, error } = await supabase.from('orgs').select('*').eq('id', id).maybeSingle();
+                if (error) throw error;
+                return data;
+            },
+
+            async getOrgBySlug(slug) {
+                const { data, error } = await supabase.from('orgs').select('*').eq('slug', slug).maybeSingle();
+                if (error) throw error;
+                return data;
+            },
+
+            // The user's organizations, each with the user's `role`
+            async listOrgsForUser(userId) {
+                const { data, error } = await supabase
+                    .from('org_members')
+                    .select('role, orgs (*)')
+                    .eq('user_id', userId)
+                    .order('created_at', { ascending: true });
+                if (error) throw error;
+                return data.map(({ role, orgs }) => ({ ...orgs, role }));
+            },
+
+            async getMembership(orgId, userId) {
+                const { data, error } = await supabase
+                    .from('org_members')
+                    .select('*')
+                    .eq('org_id', orgId)
+                    .eq('user_id', userId)
+                    .maybeSingle();
+                if (error) throw error;
+                return data;
+            },
+
+            async listMembers(orgId) {
+                const { data, error } = await supabase
+                    .from('org_members')
+                    .select('*')
+                    .eq('org_id', orgId)
+                    .order('created_at', { ascending: true });
+                if (error) throw error;
+                return data;
+            },
+
+            async addMember(member) {
+                const { data, error } = await supabase.from('org_members').insert(member).select('*').single();
+                if (error) throw error;
+                return data;
+            },
+
+            async updateMember(orgId, userId, changes) {
+                const { data, error } = await supabase
+                    .from('org_members')
+                    .update(changes)
+                    .eq('org_id', orgId)
+                    .eq('user_id', userId)
+                    .select('*')
+                    .maybeSingle();
+                if (error) throw error;
+                return data;
+            },
+
+            async removeMember(orgId, userId) {
+                const { data, error } = await supabase
+                    .from('org_members')
+                    .delete()
+                    .eq('org_id', orgId)
+                    .eq('user_id', userId)
+                    .select('user_id');
+                if (error) throw error;
+                return data.length > 0;
+            },
+
+            async createInvite(invite) {
+                const { data, error } = await supabase.from('org_invites').insert(invite).select('*').single();
+                if (error?.code === '23505') throw providerError('That address already has an open invitation', 409);
+                if (error) throw error;
+                return data;
+            },
+
+            async getInvite(id) {
+                const { data, error } = await supabase.from('org_invites').select('*').eq('id', id).maybeSingle();
+                if (error) throw error;
+                return data;
+            },
+
+            // Open (not accepted, revoked or expired) invitations of one organization or one address
+            async listInvites({ orgId, email }) {
+                let query = supabase
+                    .from('org_invites')
+                    .select('*')
+                    .is('accepted_at', null)
+                    .is('revoked_at', null)
+                    .gt('expires_at', new Date().toISOString())
+                    .order('created_at', { ascending: true });
+                query = orgId ? query.eq('org_id', orgId) : query.eq('email', email);
+
+                const { data, error } = await query;
+                if (error) throw error;
+                return data;
+            },
+
+            async updateInvite(id, changes) {
+                const { data, error } = await supabase
+                    .from('org_invites')
+                    .update(changes)
+                    .eq('id', id)
+                    .select('*')
+                    .maybeSingle();
+                if (error) throw error;
+                return data;
+            },
+
+            // Supabase only mails addresses without an account (its invite template, which
+            // creates the user); existing users find the invitation with `koye org accept`
+            // Supabase only mails addresses it has a user for, so an invitation to a new address
+            // creates one without a password; createUser() replaces it at 'koye register'
+            async sendInvitationEmail({ email, org }) {
+                const { error } = await supabase.auth.admin.inviteUserByEmail(email, {
+                    data: { plan: 'FREE', registered_via: 'org_invite', invited_to: org.slug }
+                });
+                if (error && error.status !== 422) throw providerError(error.message, error.status);
+            },
+
+            async getCreditBalance(userId) {
+                const { data, error } = await supabase
+                    .from('credit_balances')
+                    .select('balance')
+                    .eq('user_id', userId)
+                    .maybeSingle();
+                if (error) throw error;
+                return data?.balance ?? 0;
+            },
+
+            async getOrgCreditBalance(orgId) {
+                const { data, error } = await supabase
+                    .from('org_credit_balances')
+                    .select('balance')
+                    .eq('org_id', orgId)
+                    .maybeSingle();
+                if (error) throw error;
+                return data?.balance ?? 0;
+            },
+
+            // With `orgId` the organization's pool moves; `userId` is then the member, if any
+            async recordCreditEntry({ userId, orgId, amount, action, projectId, description, idempotencyKey }) {
+                const { data, error } = await supabase.rpc('record_credit_entry', {
+                    p_user_id: userId,
+                    p_amount: amount,
+                    p_action: action,
+                    p_project_id: projectId,
+                    p_description: description,
+                    p_idempotency_key: idempotencyKey,
+                    p_org_id: orgId
+                });
+                if (error?.message === 'insufficient_credits') throw insufficientCredits(parseInt(error.details, 10) || 0);
+                if (error) throw error;
+                return data;
+            },
+
+            // Newest first, within [since, until); an organization's entries with `orgId`
+            async listCreditEntries({ userId, orgId, since, until, projectId, offset, limit }) {
+                let query = ownedBy(
+                    supabase.from('credit_ledger').select('id, amount, balance_after, action, project_id, description, created_at'),
+                    { userId, orgId }
+                )
+                    .gte('created_at', since.toISOString())
+                    .lt('created_at', until.toISOString())
+                    .order('created_at', { ascending: false })
+                    .range(offset, offset + limit - 1);
+                if (projectId) query = query.eq('project_id', projectId);
+
+                const { data, error } = await query;
+                if (error) throw error;
+                return data;
+            }
+        };
+    };
+
+    // For development and tests: no network, no Supabase project. Not for production use,
+    // since the whole store is rewritten on every change.
+    const createLocalAuthProvider = (dir) => {
+        const storeFile = join(dir, 'store.json');
+        const outboxFile = join(dir, 'outbox.jsonl');
+        const VERIFICATION_TTL = 24 * 60 * 60 * 1000;
+
+        mkdirSync(dir, { recursive: true });
+        // Collections added since a store was created start out empty
+        const store = {
+            users: [], verifications: [], sessions: [], access_tokens: [], projects: [],
+            orgs: [], org_members: [], org_invites: [], credit_ledger: [], credit_balances: {}, org_credit_balances: {},
+            ...(existsSync(storeFile) ? JSON.parse(readFileSync(storeFile, 'utf-8')) : {})
+        };
+
+        // Write to a temp file and rename, so a crash never leaves half a store behind
+        const persist = () => {
+            writeFileSync(storeFile + '.tmp', JSON.stringify(store, null, 2));
+            renameSync(storeFile + '.tmp', storeFile);
+        };
+
+        const now = () => new Date().toISOString();
+        const publicUser = ({ password_hash, ...user }) => user;
+        const findUser = (email) => store.users.find(user => user.email === normalizeAccount(email));
+        const matches = (row, match) => Object.entries(match).every(([key, value]) => row[key] === value);
+        const ownedBy = (row, { userId, orgId }) => (orgId ? row.org_id === orgId : row.user_id === userId && !row.org_id);
+        const isOpenInvite = (invite) => !invite.accepted_at && !invite.revoked_at && new Date(invite.expires_at) > new Date();
+
+        const queueVerificationEmail = (user) => {
+            const token = crypto.randomBytes(24).toString('base64url');
+            store.verifications.push({
+                token_hash: hashToken(token),
+                user_id: user.id,
+                expires_at: new Date(Date.now() + VERIFICATION_TTL).toISOString()
+            });
+            persist();
+
+            const link = `${urls.start}/auth/local/verify?token=${token}`;
+            appendFileSync(outboxFile, JSON.stringify({ to: user.email, subject: 'Verify your KOYE account', link, sent_at: now() }) + '\n');
+            logger.info(`📧 [local auth] Verification link for ${user.email}: ${link}`);
+        };
+
+        return {
+            name: 'local',
+
+            async createUser({ email, password, metadata }) {
+                // Hashed before the lookup, so a taken address costs as much as a new one
+                const passwordHash = await bcrypt.hash(password, 10);
+                if (findUser(email)) throw providerError('A user with this email address has already been registered', 422, 'email_exists');
+
+                const user = {
+                    id: crypto.randomUUID(),
+                    email: normalizeAccount(email),
+                    password_hash: passwordHash,
+                    email_confirmed_at: null,
+                    user_metadata: metadata || {},
+                    created_at: now()
+                };
+                store.users.push(user);
+                persist();
+                return publicUser(user);
+            },
+
+            async signInWithPassword(email, password) {
+                const user = findUser(email);
+                if (!user || !(await bcrypt.compare(String(password), user.password_hash))) {
+                    throw providerError('Invalid login credentials', 400);
+                }
+                return publicUser(user);
+            },
+
+            async getUser(id) {
+                const user = store.users.find(user => user.id === id);
+                return user ? publicUser(user) : null;
+            },
+
+            // Unknown and already verified addresses are skipped silently, like Supabase
+            async sendVerificationEmail(email) {
+                const user = findUser(email);
+                if (user && !user.email_confirmed_at) queueVerificationEmail(user);
+            },
+
+            // Local only: what the link in an outbox email does
+            async confirmEmail(token) {
+                const tokenHash = hashToken(String(token));
+                const verification = store.verifications.find(v => v.token_hash === tokenHash && new Date(v.expires_at) > new Date());
+                const user = verification && store.users.find(user => user.id === verification.user_id);
+                if (!user) return null;
+
+                user.email_confirmed_at = user.email_confirmed_at || now();
+                store.verifications = store.verifications.filter(v => v.user_id !== user.id);
+                persist();
+                return publicUser(user);
+            },
+
+            async createSession(session) {
+                const row = { id: crypto.randomUUID(), previous_token_hash: null, created_at: now(), last_used_at: null, revoked_at: null, ...session };
+                store.sessions.push(row);
+                persist();
+                return row.id;
+            },
+
+            async getSession(id) {
+                return store.sessions.find(session => session.id === id) || null;
+            },
+
+            async findSessionByRefreshHash(tokenHash) {
+                return store.sessions.find(session =>
+                    session.refresh_token_hash === tokenHash || session.previous_token_hash === tokenHash) || null;
+            },
+
+            async rotateSession(id, tokenHash, changes) {
+                const session = store.sessions.find(session => session.id === id && session.refresh_token_hash === tokenHash);
+                if (!session) return false;
+                Object.assign(session, changes);
+                persist();
+                return true;
+            },
+
+            async revokeSessions(match) {
+                for (const session of store.sessions) {
+                    if (!session.revoked_at && matches(session, match)) session.revoked_at = now();
+                }
+                persist();
+            },
+
+            async updateSessions(match, changes) {
+                for (const session of store.sessions) {
+                    if (matches(session, match)) Object.assign(session, changes);
+                }
+                persist();
+            },
+
+            async createAccessToken(token) {
+                const row = { id: crypto.randomUUID(), created_at: now(), last_used_at: null, revoked_at: null, ...token };
+                store.access_tokens.push(row);
+                persist();
+                return row;
+            },
+
+            async findAccessTokenByHash(tokenHash) {
+                return store.access_tokens.find(token => token.token_hash === tokenHash) || null;
+            },
+
+            async touchAccessToken(id) {
+                const token = store.access_tokens.find(token => token.id === id);
+                if (token) {
+                    token.last_used_at = now();
+                    persist();
+                }
+            },
+
+            async listAccessTokens(userId, { activeOnly = false } = {}) {
+                return store.access_tokens
+                    .filter(token => token.user_id === userId && !token.revoked_at)
+                    .filter(token => !activeOnly || new Date(token.expires_at) > new Date())
+                    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+            },
+
+            async revokeAccessToken(userId, id) {
+                const token = store.access_tokens.find(token => token.id === id && token.user_id === userId && !token.revoked_at);
+                if (!token) return false;
+                token.revoked_at = now();
+                persist();
+                return true;
+            },
+
+            async createProject(project) {
+                const owner = { userId: project.user_id, orgId: project.org_id };
+                if (store.projects.some(existing => existing.id === project.id && ownedBy(existing, owner))) {
+                    throw providerError('Project ID is already taken', 409);
+                }
+                const row = { created_at: now(), updated_at: now(), ...project };
+                store.projects.push(row);
+                persist();
+                return row;
+            },
+
+            async listProjects(owner) {
+                return store.projects
+                    .filter(project => ownedBy(project, owner))
+                    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+            },
+
+            async getProject(owner, id) {
+                return store.projects.find(project => project.id === id && ownedBy(project, owner)) || null;
+            },
+
+            async updateProject(owner, id, changes) {
+                const project = store.projects.find(project => project.id === id && ownedBy(project, owner));
+                if (!project) return null;
+                Object.assign(project, changes, { updated_at: now() });
+                persist();
+                return project;
+            },
+
+            async createOrg(org, ownerId) {
+                if (store.orgs.some(existing => existing.slug === org.slug)) {
+                    throw providerError('That organization slug is already taken', 409);
+                }
+                const row = { id: crypto.randomUUID(), plan: 'FREE', created_at: now(), ...org };
+                store.orgs.push(row);
+                store.org_members.push({ org_id: row.id, user_id: ownerId, role: 'owner', created_at: now() });
+                persist();
+                return row;
+            },
+
+            async getOrg(id) {
+                return store.orgs.find(org => org.id === id) || null;
+            },
+
+            async getOrgBySlug(slug) {
+                return store.orgs.find(org => org.slug === slug) || null;
+            },
+
+            async listOrgsForUser(userId) {
+                return store.org_members
+                    .filter(member => member.user_id === userId)
+                    .map(member => ({ ...store.orgs.find(org => org.id === member.org_id), role: member.role }));
+            },
+
+            async getMembership(orgId, userId) {
+                return store.org_members.find(member => member.org_id === orgId && member.user_id === userId) || null;
+            },
+
+            async listMembers(orgId) {
+                return store.org_members.filter(member => member.org_id === orgId);
+            },
+
+            async addMember(member) {
+                const row = { created_at: now(), ...member };
+                store.org_members.push(row);
+                persist();
+                return row;
+            },
+
+            async updateMember(orgId, userId, changes) {
+                const member = store.org_members.find(member => member.org_id === orgId && member.user_id === userId);
+                if (!member) return null;
+                Object.assign(member, changes);
+                persist();
+                return member;
+            },
+
+            async removeMember(orgId, userId) {
+                const count = store.org_members.length;
+                store.org_members = store.org_members.filter(member => !(member.org_id === orgId && member.user_id === userId));
+                persist();
+                return store.org_members.length < count;
+            },
+
+            async createInvite(invite) {
+                if (store.org_invites.some(existing => existing.org_id === invite.org_id && existing.email === invite.email
+                    && !existing.accepted_at && !existing.revoked_at)) {
+                    throw providerError('That address already has an open invitation', 409);
+                }
+                const row = { id: crypto.randomUUID(), created_at: now(), accepted_at: null, revoked_at: null, ...invite };
+                store.org_invites.push(row);
+                persist();
+                return row;
+            },
+
+            async getInvite(id) {
+                return store.org_invites.find(invite => invite.id === id) || null;
+            },
+
+            async listInvites({ orgId, email }) {
+                return store.org_invites.filter(invite =>
+                    isOpenInvite(invite) && (orgId ? invite.org_id === orgId : invite.email === email));
+            },
+
+            async updateInvite(id, changes) {
+                const invite = store.org_invites.find(invite => invite.id === id);
+                if (!invite) return null;
+                Object.assign(invite, changes);
+                persist();
+                return invite;
+            },
+
+            async sendInvitationEmail({ email, org, inviter }) {
+                const message = `${inviter} invited you to ${org.name} on KOYE. Run 'koye org accept ${org.slug}' to join.`;
+                appendFileSync(outboxFile, JSON.stringify({ to: email, subject: `Join ${org.name} on KOYE`, message, sent_at: now() }) + '\n');
+                logger.info(`📧 [local auth] Invitation for ${email}: ${message}`);
+            },
+
+            async getCreditBalance(userId) {
+                return store.credit_balances[userId] ?? 0;
+            },
+
+            async getOrgCreditBalance(orgId) {
+                return store.org_credit_balances[orgId] ?? 0;
+            },
+
+            // Same rules as record_credit_entry() in the credit ledger migrations
+            async recordCreditEntry({ userId, orgId = null, amount, action, projectId, description, idempotencyKey }) {
+                if (idempotencyKey) {
+                    const existing = store.credit_ledger.find(entry =>
+                        ownedBy(entry, { userId, orgId }) && entry.idempotency_key === idempotencyKey);
+                    if (existing) return existing;
+                }
+
+                const balances = orgId ? store.org_credit_balances : store.credit_balances;
+                const account = orgId || userId;
+                const balance = balances[account] ?? 0;
+                if (amount < 0 && balance + amount < 0) throw insufficientCredits(balance);
+
+                const entry = {
+                    id: crypto.randomUUID(),
+                    user_id: userId,
+                    org_id: orgId,
+                    amount,
+                    balance_after: balance + amount,
+                    action,
+                    project_id: projectId,
+                    description,
+                    idempotency_key: idempotencyKey,
+                    created_at: now()
+                };
+                store.credit_ledger.push(entry);
+                balances[account] = entry.balance_after;
+                persist();
+                return entry;
+            },
+
+            async listCreditEntries({ userId, orgId, since, until, projectId, offset, limit }) {
+                return store.credit_ledger
+                    .filter(entry => ownedBy(entry, { userId, orgId }) && (!projectId || entry.project_id === projectId))
+                    .filter(entry => new Date(entry.created_at) >= since && new Date(entry.created_at) < until)
+                    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+                    .slice(offset, offset + limit);
+            }
+        };
+    };
+
+    const AUTH_PROVIDERS = {
+        supabase: () => createSupabaseAuthProvider(),
+        local: () => createLocalAuthProvider(process.env.LOCAL_AUTH_DIR || join(dirname(fileURLToPath(import.meta.url)), '..', '.local-auth'))
+    };
+
+    const createAuthProvider = (name = 'supabase') => {
+        if (!AUTH_PROVIDERS[name]) {
+            throw new Error(`Unknown AUTH_PROVIDER '${name}', expected one of: ${Object.keys(AUTH_PROVIDERS).join(', ')}`);
+        }
+        return AUTH_PROVIDERS[name]();
+    };
+
+    const authProvider = typeof authProviderOption === 'string' ? createAuthProvider(authProviderOption) : authProviderOption;
+
+    // The local provider's stand-in for the link in a verification email
+    if (authProvider.confirmEmail) {
+        app.get('/auth/local/verify', async (req, res) => {
+            const user = await authProvider.confirmEmail(req.query.token || '');
+            if (!user) {
+                return res.status(400).send('Verification link is invalid or expired.');
+            }
+            res.send(`${user.email} is verified. You can return to the terminal.`);
+        });
+    }
+
+    // ============== AUTHENTICATION ==============
+
+    app.post('/auth/register', rateLimit('register', RATE_LIMITS.register), async (req, res) => {
+        try {
+            const { email, password } = req.body;
+
+            if (!email || !password) {
+                return res.status(400).json({ success: false, error: 'Email and password required' });
+            }
+
+            if (password.length < 6) {
+                return res.status(400).json({ success: false, error: 'Password must be at least 6 characters' });
+            }
+
+            let user;
+            try {
+                user = await authProvider.createUser({
+                    email,
+                    password,
+                    metadata: { plan: 'FREE', registered_via: 'cli' }
+                });
+            } catch (error) {
+                if (!error.status) throw error;
+                if (error.code !== 'email_exists') {
+                    return res.status(400).json({ success: false, error: error.message });
+                }
+                // A taken address gets the same work and the same reply as a new one, so neither
+                // tells who is registered. Its handle names no real account and never reports verified.
+                user = null;
+            }
+
+            await authProvider.sendVerificationEmail(email)
+                .catch(err => logger.error('Verification email error:', err));
+
+            const registered = user || { id: crypto.randomUUID(), email: normalizeAccount(email) };
+            res.json({
+                success: true,
+                message: 'Check your email for verification',
+                user_id: registered.id,
+                registration: signRegistrationHandle(registered),
+                interval: VERIFICATION_POLL_INTERVAL
+            });
+
+            // Granted after replying so a new account answers no slower than a taken address.
+            // The account exists either way; a missing bonus can be granted again under the same key
+            if (user) {
+                await recordCreditEntry({
+                    userId: user.id,
+                    amount: SIGNUP_CREDITS,
+                    action: 'signup_bonus',
+                    idempotencyKey: 'signup_bonus'
+                }).catch(err => logger.error('Signup credit grant error:', err));
+            }
+        } catch (error) {
+            logger.error('Registration error:', error);
+            res.status(500).json({ success: false, error: 'Registration failed' });
+        }
+    });
+
+    // ============== SESSIONS ==============
+    // Every login creates a row in `cli_sessions`. Access tokens are short-lived
+    // JWTs carrying the session id (`sid`); the opaque refresh token is stored
+    // only as a hash and is rotated on every refresh. Revoking the row logs the
+    // machine out once its current access token is rejected.
+
+    const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+    const generateRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+    const signAccessToken = (user, sessionId) => jwt.sign(
+        { user_id: user.id, email: user.email, plan: user.user_metadata?.plan || 'FREE', sid: sessionId },
+        jwtSecret,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+
+    const createSession = async (user, req) => {
+        const refreshToken = generateRefreshToken();
+        const sessionId = await authProvider.createSession({
+            user_id: user.id,
+            refresh_token_hash: hashToken(refreshToken),
+            user_agent: req.get('user-agent') || null,
+            expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 86400 * 1000).toISOString()
+        });
+
+        return { sessionId, refreshToken };
+    };
+
+    // The session row, or null once it is revoked or expired
+    const getActiveSession = async (sessionId) => {
+        const session = await authProvider.getSession(sessionId);
+        return session && !session.revoked_at && new Date(session.expires_at) > new Date() ? session : null;
+    };
+
+    const revokeSessions = (match) => authProvider.revokeSessions(match);
+
+    // Opens a session and shapes the token + user payload shared by every login method
+    const buildLoginResponse = async (user, req) => {
+        const { sessionId, refreshToken } = await createSession(user, req);
+
+        return {
+            success: true,
+            token: signAccessToken(user, sessionId),
+            refresh_token: refreshToken,
+            expires_in: ACCESS_TOKEN_TTL,
+            user: {
+                id: user.id,
+                email: user.email,
+                plan: user.user_metadata?.plan || 'FREE',
+                credits: await getCreditBalance(user.id)
+            }
+        };
+    };
+
+    app.post('/auth/login', rateLimit('login', RATE_LIMITS.login), async (req, res) => {
+        try {
+            const { email, password } = req.body;
+
+            if (!email || !password) {
+                return res.status(400).json({ success: false, error: 'Email and password required' });
+            }
+
+            const lockedFor = await getLoginLockout(email);
+            if (lockedFor) {
+                return sendTooManyRequests(res, lockedFor, LOCKOUT_MESSAGE);
+            }
+
+            let user;
+            try {
+                user = await authProvider.signInWithPassword(email, password);
+            } catch (error) {
+                await recordLoginFailure(email, error);
+                return res.status(401).json({ success: false, error: error.message });
+            }
+
+            await clearLoginFailures(email);
+
+            if (!user.email_confirmed_at) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Email not verified',
+                    needs_verification: true
+                });
+            }
+
+            res.json(await buildLoginResponse(user, req));
+        } catch (error) {
+            logger.error('Login error:', error);
+            res.status(500).json({ success: false, error: 'Login failed' });
+        }
+    });
+
+    // ============== EMAIL VERIFICATION ==============
+    // Registration hands the CLI a signed handle for the new account. The CLI
+    // polls /auth/verification/status with it until the email link is clicked,
+    // so no route ever answers "is this email registered?" for an arbitrary
+    // address, and resending a link looks the same whether the account exists.
+
+    const REGISTRATION_HANDLE_TTL = 24 * 60 * 60; // seconds
+    // Expired handles can be renewed until this long after the registration itself
+    const REGISTRATION_RENEWAL_MAX_AGE = 7 * 24 * 60 * 60; // seconds
+    const REGISTRATION_AUDIENCE = 'koye-registration';
+    const VERIFICATION_POLL_INTERVAL = 5; // seconds
+
+    const signRegistrationHandle = (user, registeredAt = Math.floor(Date.now() / 1000)) => jwt.sign(
+        { sub: user.id, email: user.email, registered_at: registeredAt },
+        jwtSecret,
+        { audience: REGISTRATION_AUDIENCE, expiresIn: REGISTRATION_HANDLE_TTL }
+    );
+
+    const readRegistrationHandle = (handle, options = {}) => {
+        if (typeof handle !== 'string') return null;
+        try {
+            return jwt.verify(handle, jwtSecret, { audience: REGISTRATION_AUDIENCE, ...options });
+        } catch {
+            return null;
+        }
+    };
+
+    app.post('/auth/verification/status', rateLimit('verification', RATE_LIMITS.verification), async (req, res) => {
+        try {
+            const claims = readRegistrationHandle(req.body.registration);
+            if (!claims) {
+                return res.status(400).json({ success: false, error: 'Registration handle is invalid or expired' });
+            }
+
+            // Handles given out for an address that was already registered name no account
+            const user = await authProvider.getUser(claims.sub);
+
+            res.json({
+                success: true,
+                verified: !!user?.email_confirmed_at,
+                interval: VERIFICATION_POLL_INTERVAL
+            });
+        } catch (error) {
+            logger.error('Verification status error:', error);
+            res.status(500).json({ success: false, error: 'Status check failed' });
+        }
+    });
+
+    // Accepts the registration handle (an expired one is renewed for up to
+    // REGISTRATION_RENEWAL_MAX_AGE after registration) or a bare email.
+    // The reply is identical for unknown, verified and unverified addresses.
+    app.post('/auth/resend-verification', rateLimit('resend', RATE_LIMITS.resend), async (req, res) => {
+        let claims = readRegistrationHandle(req.body.registration, { ignoreExpiration: true });
+        if (claims && Date.now() / 1000 - (claims.registered_at ?? claims.iat) > REGISTRATION_RENEWAL_MAX_AGE) claims = null;
+        const email = claims?.email || normalizeAccount(req.body.email);
+
+        if (!email) {
+            const error = req.body.registration ? 'Registration handle is invalid or expired' : 'Email or registration handle required';
+            return res.status(400).json({ success: false, error });
+        }
+
+        const error = await authProvider.sendVerificationEmail(email).then(() => null, err => err);
+        if (error && !(error.status >= 400 && error.status < 500)) {
+            logger.error('Resend verification error:', error);
+        }
+
+        res.json({
+            success: true,
+            message: 'If an unverified account exists for that email, a new verification link is on its way',
+            ...(claims && {
+                registration: signRegistrationHandle({ id: claims.sub, email: claims.email }, claims.registered_at ?? claims.iat),
+                interval: VERIFICATION_POLL_INTERVAL
+            })
+        });
+    });
+
+    // ============== DEVICE AUTHORIZATION ==============
+    // OAuth-style device flow (RFC 8628) so `koye login --device` works on
+    // headless machines: the CLI shows a short user code, the user approves it
+    // in a browser, and the CLI polls until a token is issued.
+
+    const DEVICE_CODE_TTL = 10 * 60; // seconds
+    const DEVICE_POLL_INTERVAL = 5; // seconds
+    const USER_CODE_ALPHABET = 'BCDFGHJKLMNPQRSTVWXZ';
+
+    // device_code -> { user_code, expires_at, interval, last_polled_at, status, user }
+    const deviceCodes = new Map();
+
+    const generateUserCode = () => {
+        let code = '';
+        for (let i = 0; i < 8; i++) {
+            code += USER_CODE_ALPHABET[crypto.randomInt(USER_CODE_ALPHABET.length)];
+        }
+        return `${code.slice(0, 4)}-${code.slice(4)}`;
+    };
+
+    const normalizeUserCode = (code) => {
+        const clean = String(code || '').toUpperCase().replace(/[^A-Z]/g, '');
+        return clean.length === 8 ? `${clean.slice(0, 4)}-${clean.slice(4)}` : null;
+    };
+
+    const findDeviceByUserCode = (userCode) => {
+        for (const [deviceCode, entry] of deviceCodes) {
+            if (entry.user_code === userCode) return [deviceCode, entry];
+        }
+        return [null, null];
+    };
+
+    const pruneDeviceCodes = () => {
+        const now = Date.now();
+        for (const [deviceCode, entry] of deviceCodes) {
+            if (entry.expires_at <= now) deviceCodes.delete(deviceCode);
+        }
+    };
+
+    const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+
+    const renderDevicePage = ({ code = '', message = '', error = '', done = false } = {}) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>KOYE - Connect a device</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #0f0f17; color: #eee; display: flex; justify-content: center; padding-top: 10vh; }
+        main { width: 340px; }
+        h1 { font-size: 1.4rem; }
+        label { display: block; margin-top: 12px; font-size: 0.9rem; color: #aaa; }
+        input { width: 100%; box-sizing: border-box; padding: 8px; margin-top: 4px; border-radius: 6px; border: 1px solid #333; background: #1a1a26; color: #eee; }
+        input[name="user_code"] { font-family: monospace; font-size: 1.3rem; letter-spacing: 2px; text-transform: uppercase; }
+        .actions { display: flex; gap: 8px; margin-top: 18px; }
+        button { flex: 1; padding: 10px; border: 0; border-radius: 6px; cursor: pointer; font-weight: 600; }
+        button[value="approve"] { background: #7c5cff; color: #fff; }
+        button[value="deny"] { background: #333; color: #ddd; }
+        .message { color: #6fdc8c; }
+        .error { color: #ff6b6b; }
+    </style>
+</head>
+<body>
+<main>
+    <h1>🎮 Connect KOYE CLI</h1>
+    ${message ? `<p class="message">${escapeHtml(message)}</p>` : ''}
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    ${done ? '<p>You can close this window and return to your terminal.</p>' : `
+    <p>Enter the code shown in your terminal and sign in to approve it.</p>
+    <form method="POST" action="/device">
+        <label>Code<input name="user_code" value="${escapeHtml(code)}" placeholder="XXXX-XXXX" autocomplete="off" required></label>
+        <label>Email<input name="email" type="email" autocomplete="username" required></label>
+        <label>Password<input name="password" type="password" autocomplete="current-password" required></label>
+        <div class="actions">
+            <button type="submit" name="decision" value="approve">Approve</button>
+            <button type="submit" name="decision" value="deny" formnovalidate>Deny</button>
+        </div>
+    </form>`}
+</main>
+</body>
+</html>`;
+
+    // Step 1: CLI requests a device code + user code pair
+    app.post('/auth/device/code', (req, res) => {
+        pruneDeviceCodes();
+
+        const deviceCode = crypto.randomBytes(32).toString('hex');
+        let userCode = generateUserCode();
+        while (findDeviceByUserCode(userCode)[0]) userCode = generateUserCode();
+
+        deviceCodes.set(deviceCode, {
+            user_code: userCode,
+            expires_at: Date.now() + DEVICE_CODE_TTL * 1000,
+            interval: DEVICE_POLL_INTERVAL,
+            last_polled_at: 0,
+            status: 'pending',
+            user: null
+        });
+
+        res.json({
+            success: true,
+            device_code: deviceCode,
+            user_code: userCode,
+            verification_uri: `${urls.start}/device`,
+            verification_uri_complete: `${urls.start}/device?code=${userCode}`,
+            expires_in: DEVICE_CODE_TTL,
+            interval: DEVICE_POLL_INTERVAL
+        });
+    });
+
+    // Step 2: user opens the verification page in a browser and approves the code
+    app.get('/device', (req, res) => {
+        res.send(renderDevicePage({ code: normalizeUserCode(req.query.code) || '' }));
+    });
+
+    const deviceRateLimited = (res, retryAfter, error = 'Too many attempts') => {
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).send(renderDevicePage({ error: `${error}. Try again in ${Math.ceil(retryAfter / 60)} min.` }));
+    };
+
+    // Approving a device checks a password, so it shares the login limits and lockout
+    app.post('/device', rateLimit('login', RATE_LIMITS.login, deviceRateLimited), async (req, res) => {
+        const { email, password, decision } = req.body;
+        const userCode = normalizeUserCode(req.body.user_code);
+        const [, entry] = userCode ? findDeviceByUserCode(userCode) : [null, null];
+
+        if (!entry || entry.expires_at <= Date.now() || entry.status !== 'pending') {
+            return res.status(400).send(renderDevicePage({
+                code: req.body.user_code,
+                error: 'This code is invalid or has expired. Run koye login --device again.'
+            }));
+        }
+
+        if (decision === 'deny') {
+            entry.status = 'denied';
+            return res.send(renderDevicePage({ message: 'Request denied. The CLI was not signed in.', done: true }));
+        }
+
+        try {
+            const lockedFor = await getLoginLockout(email);
+            if (lockedFor) {
+                return deviceRateLimited(res, lockedFor, LOCKOUT_MESSAGE);
+            }
+
+            let user;
+            try {
+                user = await authProvider.signInWithPassword(email, password);
+            } catch (error) {
+                await recordLoginFailure(email, error);
+                return res.status(401).send(renderDevicePage({ code: userCode, error: error.message }));
+            }
+
+            await clearLoginFailures(email);
+
+            if (!user.email_confirmed_at) {
+                return res.status(403).send(renderDevicePage({ code: userCode, error: 'Email not verified' }));
+            }
+
+            entry.status = 'approved';
+            entry.user = user;
+
+            res.send(renderDevicePage({ message: `Device approved for ${user.email}.`, done: true }));
+        } catch (error) {
+            logger.error('Device approval error:', error);
+            res.status(500).send(renderDevicePage({ code: userCode, error: 'Approval failed, please try again.' }));
+        }
+    });
+
+    // Step 3: CLI polls until the code is approved, denied or expired
+    app.post('/auth/device/token', async (req, res) => {
+        const { device_code } = req.body;
+        const entry = device_code && deviceCodes.get(device_code);
+
+        if (!entry) {
+            return res.status(400).json({ success: false, error: 'invalid_grant' });
+        }
+
+        if (entry.expires_at <= Date.now()) {
+            deviceCodes.delete(device_code);
+            return res.status(400).json({ success: false, error: 'expired_token' });
+        }
+
+        const now = Date.now();
+        if (now - entry.last_polled_at < entry.interval * 1000) {
+            entry.interval += 5;
+            entry.last_polled_at = now;
+            return res.status(400).json({ success: false, error: 'slow_down', interval: entry.interval });
+        }
+        entry.last_polled_at = now;
+
+        if (entry.status === 'denied') {
+            deviceCodes.delete(device_code);
+            return res.status(400).json({ success: false, error: 'access_denied' });
+        }
+
+        if (entry.status !== 'approved') {
+            return res.status(400).json({ success: false, error: 'authorization_pending' });
+        }
+
+        deviceCodes.delete(device_code);
+
+        try {
+            res.json(await buildLoginResponse(entry.user, req));
+        } catch (error) {
+            logger.error('Device token error:', error);
+            res.status(500).json({ success: false, error: 'Login failed' });
+        }
+    });
+
+    // ============== PERSONAL ACCESS TOKENS ==============
+    // Long-lived tokens for CI (`KOYE_TOKEN`). Stored hashed in
+    // `personal_access_tokens`; the plain value is shown once at creation.
+
+    const PAT_PREFIX = 'koye_pat_';
+    const PAT_SCOPES = ['profile:read', 'chat', 'tokens:manage', 'projects', 'orgs']; // 'chat' is enforced by the main server via /auth/validate
+    const PAT_DEFAULT_TTL_DAYS = 90;
+    const PAT_MAX_TTL_DAYS = 365;
+
+    // Resolves a PAT to the same `req.user` shape session JWTs produce, or null
+    const resolvePersonalAccessToken = async (token) => {
+        const pat = await authProvider.findAccessTokenByHash(hashToken(token));
+        if (!pat || pat.revoked_at || new Date(pat.expires_at) <= new Date()) return null;
+
+        const user = await authProvider.getUser(pat.user_id);
+        if (!user) return null;
+
+        // Best effort, never block the request on bookkeeping
+        authProvider.touchAccessToken(pat.id).then(() => {}, () => {});
+
+        return {
+            user_id: user.id,
+            email: user.email,
+            plan: user.user_metadata?.plan || 'FREE',
+            token_id: pat.id,
+            scopes: pat.scopes?.length ? pat.scopes : PAT_SCOPES
+        };
+    };
+
+    // ============== AUTH MIDDLEWARE ==============
+
+    const authenticateToken = async (req, res, next) => {
+        const authHeader = req.headers['authorization'];
+        const token = authHeader && authHeader.split(' ')[1];
+
+        if (!token) {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+
+        if (token.startsWith(PAT_PREFIX)) {
+            try {
+                const user = await resolvePersonalAccessToken(token);
+                if (!user) {
+                    return res.status(401).json({ success: false, error: 'Access token expired or revoked' });
+                }
+                req.user = user;
+                return next();
+            } catch (error) {
+                logger.error('Access token check error:', error);
+                return res.status(500).json({ success: false, error: 'Authentication failed' });
+            }
+        }
+
+        let user;
+        try {
+            user = jwt.verify(token, jwtSecret);
+        } catch (err) {
+            if (err.name === 'TokenExpiredError') {
+                return res.status(401).json({ success: false, error: 'Token expired' });
+            }
+            return res.status(403).json({ success: false, error: 'Invalid token' });
+        }
+
+        // Tokens issued before sessions existed carry no `sid` and cannot be revoked
+        let session;
+        try {
+            session = user.sid && await getActiveSession(user.sid);
+            if (!session) {
+                return res.status(401).json({ success: false, error: 'Session expired or revoked' });
+            }
+        } catch (error) {
+            logger.error('Session check error:', error);
+            return res.status(500).json({ success: false, error: 'Authentication failed' });
+        }
+
+        // The active organization is read from the session, not the token, so
+        // `koye org switch` and removing a member take effect immediately
+        req.user = { ...user, org_id: session.org_id || null };
+        next();
+    };
+
+    // Session logins carry every scope; personal access tokens only what they were granted
+    const requireScope = (scope) => (req, res, next) => {
+        if (req.user.scopes && !req.user.scopes.includes(scope)) {
+            return res.status(403).json({ success: false, error: `Token is missing the '${scope}' scope` });
+        }
+        next();
+    };
+
+    // ============== TOKEN REFRESH & LOGOUT ==============
+
+    app.post('/auth/refresh', async (req, res) => {
+        try {
+            const { refresh_token } = req.body;
+            if (!refresh_token) {
+                return res.status(400).json({ success: false, error: 'Refresh token required' });
+            }
+
+            const tokenHash = hashToken(refresh_token);
+            const session = await authProvider.findSessionByRefreshHash(tokenHash);
+
+            if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+                return res.status(401).json({ success: false, error: 'Session expired or revoked' });
+            }
+
+            // A rotated-out token being replayed means it leaked: kill the whole session
+            if (session.refresh_token_hash !== tokenHash) {
+                await revokeSessions({ id: session.id });
+                return res.status(401).json({ success: false, error: 'Session expired or revoked' });
+            }
+
+            const user = await authProvider.getUser(session.user_id);
+            if (!user) {
+                await revokeSessions({ id: session.id });
+                return res.status(401).json({ success: false, error: 'User not found' });
+            }
+
+            const nextRefreshToken = generateRefreshToken();
+            const rotated = await authProvider.rotateSession(session.id, tokenHash, {
+                refresh_token_hash: hashToken(nextRefreshToken),
+                previous_token_hash: tokenHash,
+                last_used_at: new Date().toISOString()
+            });
+
+            // Lost a race with a concurrent refresh using the same token
+            if (!rotated) {
+                return res.status(401).json({ success: false, error: 'Session expired or revoked' });
+            }
+
+            res.json({
+                success: true,
+                token: signAccessToken(user, session.id),
+                refresh_token: nextRefreshToken,
+                expires_in: ACCESS_TOKEN_TTL
+            });
+        } catch (error) {
+            logger.error('Refresh error:', error);
+            res.status(500).json({ success: false, error: 'Token refresh failed' });
+        }
+    });
+
+    // Revokes the calling session, or every session of the user with { all: true }
+    app.post('/auth/logout', authenticateToken, async (req, res) => {
+        if (req.user.token_id) {
+            return res.status(400).json({
+                success: false,
+                error: 'Personal access tokens are revoked with DELETE /auth/tokens/:id'
+            });
+        }
+
+        try {
+            if (req.body?.all) {
+                await revokeSessions({ user_id: req.user.user_id });
+            } else {
+                await revokeSessions({ id: req.user.sid });
+            }
+
+            res.json({ success: true });
+        } catch (error) {
+            logger.error('Logout error:', error);
+            res.status(500).json({ success: false, error: 'Logout failed' });
+        }
+    });
+
+    // ============== PERSONAL ACCESS TOKEN ROUTES ==============
+
+    const serializePersonalAccessToken = (pat) => ({
+        id: pat.id,
+        name: pat.name,
+        prefix: pat.token_prefix,
+        scopes: pat.scopes,
+        created_at: pat.created_at,
+        expires_at: pat.expires_at,
+        last_used_at: pat.last_used_at
+    });
+
+    app.post('/auth/tokens', authenticateToken, requireScope('tokens:manage'), async (req, res) => {
+        try {
+            const { name, scopes = [], expires_in_days = PAT_DEFAULT_TTL_DAYS } = req.body;
+
+            if (!name || typeof name !== 'string' || name.length > 64) {
+                return res.status(400).json({ success: false, error: 'Token name required (max 64 characters)' });
+            }
+
+            if (!Array.isArray(scopes) || scopes.some(scope => !PAT_SCOPES.includes(scope))) {
+                return res.status(400).json({ success: false, error: `Scopes must be any of: ${PAT_SCOPES.join(', ')}` });
+            }
+
+            // A token can only mint tokens narrower than itself; an empty list would mean every scope
+            if (req.user.scopes && (!scopes.length || scopes.some(scope => !req.user.scopes.includes(scope)))) {
+                return res.status(403).json({
+                    success: false,
+                    error: `Access tokens can only create tokens with some of their own scopes: ${req.user.scopes.join(', ')}`
+                });
+            }
+
+            const days = Number(expires_in_days);
+            if (!Number.isInteger(days) || days < 1 || days > PAT_MAX_TTL_DAYS) {
+                return res.status(400).json({ success: false, error: `Expiry must be 1-${PAT_MAX_TTL_DAYS} days` });
+            }
+
+            const plan = planFor(req.user.plan);
+            if (plan.limits.max_access_tokens !== null) {
+                const active = await authProvider.listAccessTokens(req.user.user_id, { activeOnly: true });
+                if (active.length >= plan.limits.max_access_tokens) {
+                    return res.status(403).json({
+                        success: false,
+                        error: `The ${plan.name} plan allows ${plan.limits.max_access_tokens} active access token(s). Revoke one or upgrade.`
+                    });
+                }
+            }
+
+            const token = PAT_PREFIX + crypto.randomBytes(32).toString('base64url');
+            const pat = await authProvider.createAccessToken({
+                user_id: req.user.user_id,
+                name,
+                token_hash: hashToken(token),
+                token_prefix: token.slice(0, PAT_PREFIX.length + 6),
+                scopes,
+                expires_at: new Date(Date.now() + days * 86400 * 1000).toISOString()
+            });
+
+            res.json({ success: true, token, access_token: serializePersonalAccessToken(pat) });
+        } catch (error) {
+            logger.error('Create token error:', error);
+            res.status(500).json({ success: false, error: 'Failed to create token' });
+        }
+    });
+
+    app.get('/auth/tokens', authenticateToken, requireScope('tokens:manage'), async (req, res) => {
+        try {
+            const tokens = await authProvider.listAccessTokens(req.user.user_id);
+
+            res.json({ success: true, tokens: tokens.map(serializePersonalAccessToken) });
+        } catch (error) {
+            logger.error('List tokens error:', error);
+            res.status(500).json({ success: false, error: 'Failed to list tokens' });
+        }
+    });
+
+    app.delete('/auth/tokens/:id', authenticateToken, requireScope('tokens:manage'), async (req, res) => {
+        try {
+            const revoked = await authProvider.revokeAccessToken(req.user.user_id, req.params.id);
+
+            if (!revoked) {
+                return res.status(404).json({ success: false, error: 'Token not found' });
+            }
+
+            res.json({ success: true });
+        } catch (error) {
+            logger.error('Revoke token error:', error);
+            res.status(500).json({ success: false, error: 'Failed to revoke token' });
+        }
+    });
+
+    // ============== USER PROFILE ==============
+
+    app.get('/user/profile', authenticateToken, requireScope('profile:read'), async (req, res) => {
+        try {
+            const user = await authProvider.getUser(req.user.user_id);
+
+            if (!user) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+
+            const org = req.user.org_id ? await authProvider.getOrg(req.user.org_id) : null;
+            const membership = org && await authProvider.getMembership(org.id, user.id);
+
+            res.json({
+                success: true,
+                user: {
+                    id: user.id,
+                    email: user.email,
+                    plan: user.user_metadata?.plan || 'FREE',
+                    credits: await getCreditBalance(user.id),
+                    created_at: user.created_at
+                },
+                organization: membership ? {
+                    ...serializeOrg(org, membership.role),
+                    credits: await authProvider.getOrgCreditBalance(org.id)
+                } : null,
+                pending_invites: (await authProvider.listInvites({ email: normalizeAccount(user.email) })).length
+            });
+        } catch (error) {
+            logger.error('Profile error:', error);
+            res.status(500).json({ success: false, error: 'Failed to fetch profile' });
+        }
+    });
+
+    app.get('/auth/validate', authenticateToken, (req, res) => {
+        res.json({ success: true, valid: true, user: req.user });
+    });
+
+    // ============== CREDIT LEDGER ==============
+    // Every credit movement is a row in `credit_ledger` (grants positive, debits
+    // negative) written by the record_credit_entry() database function, which
+    // keeps `credit_balances` in step. Debits and grants come from other KOYE
+    // services, authenticated with SERVICE_API_KEY; users only read their usage.
+    // Entries with an `org_id` move an organization's shared pool instead.
+
+    const SIGNUP_CREDITS = parseInt(process.env.SIGNUP_CREDITS, 10) || 100;
+    const USAGE_DEFAULT_DAYS = 30;
+    const USAGE_PAGE_SIZE = 1000;
+    const USAGE_MAX_ROWS = 50000;
+    const USAGE_GROUPS = { project: 'project_id', action: 'action' };
+    const CREDIT_ACTION_PATTERN = /^[a-z0-9][a-z0-9_.:-]{0,63}$/i;
+
+    const getCreditBalance = (userId) => authProvider.getCreditBalance(userId);
+
+    const recordCreditEntry = ({ userId, orgId = null, amount, action, projectId = null, description = null, idempotencyKey = null }) =>
+        authProvider.recordCreditEntry({ userId, orgId, amount, action, projectId, description, idempotencyKey });
+
+    const serializeCreditEntry = (entry) => ({
+        id: entry.id,
+        amount: entry.amount,
+        balance_after: entry.balance_after,
+        action: entry.action,
+        project_id: entry.project_id,
+        description: entry.description,
+        created_at: entry.created_at
+    });
+
+    const authenticateService = (req, res, next) => {
+        if (!process.env.SERVICE_API_KEY) {
+            return res.status(503).json({ success: false, error: 'Credit ledger is not configured' });
+        }
+
+        // Compare digests so the check takes the same time whatever the key length
+        const digest = (value) => crypto.createHash('sha256').update(String(value ?? '')).digest();
+        if (!crypto.timingSafeEqual(digest(req.get('x-service-key')), digest(process.env.SERVICE_API_KEY))) {
+            return res.status(401).json({ success: false, error: 'Invalid service key' });
+        }
+        next();
+    };
+
+    // Shared handler for /credits/debit (sign -1) and /credits/grant (sign 1); `amount` is always positive.
+    // With `org_id` (the org_id /auth/validate reports) the organization's pool moves; `user_id` is then optional.
+    const creditRoute = (sign) => async (req, res) => {
+        const { user_id, org_id, amount, action, project_id, description, idempotency_key } = req.body;
+
+        if (org_id !== undefined && org_id !== null && !(typeof org_id === 'string' && UUID_PATTERN.test(org_id))) {
+            return res.status(400).json({ success: false, error: 'org_id must be an organization ID' });
+        }
+        if (!org_id && (typeof user_id !== 'string' || !user_id)) {
+            return res.status(400).json({ success: false, error: 'user_id required' });
+        }
+        if (!Number.isInteger(amount) || amount <= 0) {
+            return res.status(400).json({ success: false, error: 'amount must be a positive integer' });
+        }
+        if (typeof action !== 'string' || !CREDIT_ACTION_PATTERN.test(action)) {
+            return res.status(400).json({ success: false, error: 'action must be a short identifier such as chat_message' });
+        }
+
+        try {
+            if (org_id && !(await authProvider.getOrg(org_id))) {
+                return res.status(404).json({ success: false, error: 'Organization not found' });
+            }
+
+            const entry = await recordCreditEntry({
+                userId: user_id || null,
+                orgId: org_id || null,
+                amount: sign * amount,
+                action,
+                projectId: project_id ? String(project_id).slice(0, 128) : null,
+                description: description ? String(description).slice(0, 500) : null,
+                idempotencyKey: idempotency_key ? String(idempotency_key).slice(0, 128) : null
+            });
+
+            res.json({ success: true, entry: serializeCreditEntry(entry), balance: entry.balance_after });
+        } catch (error) {
+            if (error.code === 'insufficient_credits') {
+                return res.status(402).json({ success: false, error: 'Insufficient credits', balance: error.balance });
+            }
+            logger.error('Credit ledger error:', error);
+            res.status(500).json({ success: false, error: 'Failed to record credits' });
+        }
+    };
+
+    app.post('/credits/debit', authenticateService, creditRoute(-1));
+
+    app.post('/credits/grant', authenticateService, creditRoute(1));
+
+    // ?since=&until= (ISO dates, default last 30 days) &project=<id> &group_by=project|action &limit=<entries>
+    // Reports the active organization's pool when the session has switched to one
+    app.get('/user/usage', authenticateToken, requireScope('profile:read'), async (req, res) => {
+        const until = req.query.until ? new Date(req.query.until) : new Date();
+        const since = req.query.since ? new Date(req.query.since) : new Date(until.getTime() - USAGE_DEFAULT_DAYS * 86400 * 1000);
+        const groupBy = req.query.group_by;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+        if (isNaN(since) || isNaN(until) || since >= until) {
+            return res.status(400).json({ success: false, error: 'since and until must be ISO dates with since before until' });
+        }
+        if (groupBy && !USAGE_GROUPS[groupBy]) {
+            return res.status(400).json({ success: false, error: 'group_by must be one of: ' + Object.keys(USAGE_GROUPS).join(', ') });
+        }
+
+        try {
+            const rows = [];
+            while (rows.length < USAGE_MAX_ROWS) {
+                const page = await authProvider.listCreditEntries({
+                    userId: req.user.user_id,
+                    orgId: req.user.org_id,
+                    since,
+                    until,
+                    projectId: req.query.project,
+                    offset: rows.length,
+                    limit: USAGE_PAGE_SIZE
+                });
+
+                rows.push(...page);
+                if (page.length < USAGE_PAGE_SIZE) break;
+            }
+
+            const summarize = (entries) => ({
+                debited: entries.reduce((sum, e) => sum + (e.amount < 0 ? -e.amount : 0), 0),
+                granted: entries.reduce((sum, e) => sum + (e.amount > 0 ? e.amount : 0), 0),
+                net: entries.reduce((sum, e) => sum + e.amount, 0),
+                count: entries.length
+            });
+
+            let groups;
+            if (groupBy) {
+                const buckets = new Map();
+                for (const row of rows) {
+                    const key = row[USAGE_GROUPS[groupBy]] ?? null;
+                    if (!buckets.has(key)) buckets.set(key, []);
+                    buckets.get(key).push(row);
+                }
+                groups = [...buckets]
+                    .map(([key, entries]) => ({ key, ...summarize(entries) }))
+                    .sort((a, b) => b.debited - a.debited);
+            }
+
+            const org = req.user.org_id ? await authProvider.getOrg(req.user.org_id) : null;
+
+            res.json({
+                success: true,
+                balance: org ? await authProvider.getOrgCreditBalance(org.id) : await getCreditBalance(req.user.user_id),
+                organization: org ? { id: org.id, name: org.name, slug: org.slug } : null,
+                since: since.toISOString(),
+                until: until.toISOString(),
+                project: req.query.project || null,
+                totals: summarize(rows),
+                truncated: rows.length >= USAGE_MAX_ROWS,
+                ...(groups ? { group_by: groupBy, groups } : { entries: rows.slice(0, limit).map(serializeCreditEntry) })
+            });
+        } catch (error) {
+            logger.error('Usage error:', error);
+            res.status(500).json({ success: false, error: 'Failed to fetch usage' });
+        }
+    });
+
+    // ============== PLANS ==============
+    // The plan catalog. Users carry a plan id (user_metadata.plan, copied into
+    // their tokens); anything unknown is treated as FREE. A `null` limit means
+    // unlimited. Features are the defaults written to koye.json by `koye init`.
+
+    const PLANS = {
+        FREE: {
+            name: 'Free',
+            price_usd_month: 0,
+            limits: { monthly_credits: 100, max_projects: 3, max_asset_upload_mb: 25, max_access_tokens: 1 },
+            features: { chat_enabled: true, sync_chat_history: true, allow_make_public: false }
+        },
+        PRO: {
+            name: 'Pro',
+            price_usd_month: 19,
+            limits: { monthly_credits: 2000, max_projects: 25, max_asset_upload_mb: 250, max_access_tokens: 10 },
+            features: { chat_enabled: true, sync_chat_history: true, allow_make_public: true }
+        },
+        STUDIO: {
+            name: 'Studio',
+            price_usd_month: 79,
+            limits: { monthly_credits: 10000, max_projects: null, max_asset_upload_mb: 1024, max_access_tokens: 50 },
+            features: { chat_enabled: true, sync_chat_history: true, allow_make_public: true }
+        }
+    };
+
+    const planFor = (planId) => {
+        const id = String(planId || '').toUpperCase();
+        return PLANS[id] ? { id, ...PLANS[id] } : { id: 'FREE', ...PLANS.FREE };
+    };
+
+    // Anonymous callers get through with no req.user; a token that is sent must still be valid
+    const optionalAuthenticateToken = (req, res, next) =>
+        req.headers['authorization'] ? authenticateToken(req, res, next) : next();
+
+    app.get('/plans', (req, res) => {
+        res.json({
+            success: true,
+            plans: Object.keys(PLANS).map(planFor)
+        });
+    });
+
+    // ============== CONFIGURATION ==============
+
+    // Features and limits follow the caller's plan (FREE when not logged in)
+    app.get('/config/init', optionalAuthenticateToken, (req, res) => {
+        const plan = planFor(req.user?.plan);
+
+        res.json({
+            success: true,
+            config: {
+                version: KOYE_CONFIG_VERSION,
+                plan: plan.id,
+                servers: {
+                    start: urls.start,
+                    main: urls.main,
+                    make_public: urls.make_public
+                },
+                assets: {
+                    root: './koye-assets',
+                    images: 'images',
+                    videos: 'videos',
+                    audio: 'audio',
+                    models3d: '3dmodels',
+                    other: 'other'
+                },
+                features: plan.features,
+                limits: plan.limits,
+                actions: {
+                    auto_approve: ['create_folder'],
+                    deny: ['.env', '.env.*', '*.pem', '*.key']
+                }
+            }
+        });
+    });
+
+    // JSON Schema for koye.json; editors pick it up from the file's "$schema"
+    app.get('/config/schema', (req, res) => {
+        const { $schema, ...schema } = KOYE_CONFIG_SCHEMA;
+        res.json({ $schema, $id: `${urls.start}/config/schema`, ...schema });
+    });
+
+    // ============== TEMPLATES ==============
+    // Starter projects for `koye init --template <id>`. Each has the files to
+    // scaffold and a koye.json preset (its asset layout and action rules) whose
+    // sections replace the defaults key by key. File contents may use {{project_name}},
+    // {{project_id}} and {{project_slug}}, which the CLI fills in escaped for the file's type.
+
+    const lines = (...rows) => rows.join('\n') + '\n';
+
+    const VITE_GITIGNORE = lines('node_modules/', 'dist/', '.env');
+    const DEFAULT_DENY = ['.env', '.env.*', '*.pem', '*.key'];
+
+    const TEMPLATES = {
+        phaser: {
+            name: 'Phaser 3',
+            engine: 'phaser',
+            description: '2D browser game with Phaser 3 and Vite',
+            next_steps: ['npm install', 'npm run dev'],
+            config: {
+                assets: { root: './public/assets', images: 'sprites', videos: 'video', audio: 'audio', models3d: 'models', other: 'data' },
+                actions: { deny: [...DEFAULT_DENY, 'node_modules/', 'dist/'] }
+            },
+            files: {
+                'package.json': lines(
+                    '{',
+                    '  "name": "{{project_slug}}",',
+                    '  "private": true,',
+                    '  "type": "module",',
+                    '  "scripts": { "dev": "vite", "build": "vite build", "preview": "vite preview" },',
+                    '  "dependencies": { "phaser": "^3.80.1" },',
+                    '  "devDependencies": { "vite": "^5.4.0" }',
+                    '}'
+                ),
+                'index.html': lines(
+                    '<!doctype html>',
+                    '<html lang="en">',
+                    '<head>',
+                    '  <meta charset="utf-8">',
+                    '  <title>{{project_name}}</title>',
+                    '  <style>html, body { margin: 0; background: #111; }</style>',
+                    '</head>',
+                    '<body>',
+                    '  <script type="module" src="/src/main.js"></script>',
+                    '</body>',
+                    '</html>'
+                ),
+                'src/main.js': lines(
+                    "import Phaser from 'phaser';",
+                    "import { MainScene } from './scenes/MainScene.js';",
+                    '',
+                    'new Phaser.Game({',
+                    '    type: Phaser.AUTO,',
+                    '    width: 800,',
+                    '    height: 600,',
+                    "    backgroundColor: '#1d1d2b',",
+                    "    physics: { default: 'arcade', arcade: { gravity: { y: 0 } } },",
+                    '    scene: [MainScene]',
+                    '});'
+                ),
+                'src/scenes/MainScene.js': lines(
+                    "import Phaser from 'phaser';",
+                    '',
+                    '// Sprites go in public/assets/sprites and load as "assets/sprites/<file>"',
+                    'export class MainScene extends Phaser.Scene {',
+                    '    constructor() {',
+                    "        super('main');",
+                    '    }',
+                    '',
+                    '    create() {',
+                    "        this.add.text(400, 300, '{{project_name}}', { fontSize: '32px', color: '#ffffff' }).setOrigin(0.5);",
+                    '    }',
+                    '}'
+                ),
+                '.gitignore': VITE_GITIGNORE
+            }
+        },
+        godot: {
+            name: 'Godot 4',
+            engine: 'godot',
+            description: 'Godot 4 project with a main scene and GDScript',
+            next_steps: ['godot --editor project.godot'],
+            config: {
+                assets: { root: './assets', images: 'textures', videos: 'video', audio: 'audio', models3d: 'models', other: 'misc' },
+                actions: { deny: [...DEFAULT_DENY, '.godot/', '*.import'] }
+            },
+            files: {
+                'project.godot': lines(
+                    'config_version=5',
+                    '',
+                    '[application]',
+                    '',
+                    'config/name="{{project_name}}"',
+                    'run/main_scene="res://scenes/main.tscn"',
+                    'config/features=PackedStringArray("4.2")',
+                    '',
+                    '[display]',
+                    '',
+                    'window/size/viewport_width=1280',
+                    'window/size/viewport_height=720'
+                ),
+                'scenes/main.tscn': lines(
+                    '[gd_scene load_steps=2 format=3]',
+                    '',
+                    '[ext_resource type="Script" path="res://scripts/main.gd" id="1"]',
+                    '',
+                    '[node name="Main" type="Node2D"]',
+                    'script = ExtResource("1")'
+                ),
+                'scripts/main.gd': lines(
+                    'extends Node2D',
+                    '',
+                    '',
+                    'func _ready() -> void:',
+                    '\tprint("{{project_name}} is running")'
+                ),
+                '.gitignore': lines('.godot/', '*.translation', 'export_presets.cfg')
+            }
+        },
+        threejs: {
+            name: 'Three.js',
+            engine: 'threejs',
+            description: '3D browser scene with Three.js and Vite',
+            next_steps: ['npm install', 'npm run dev'],
+            config: {
+                assets: { root: './public/assets', images: 'textures', videos: 'video', audio: 'audio', models3d: 'models', other: 'data' },
+                actions: { deny: [...DEFAULT_DENY, 'node_modules/', 'dist/'] }
+            },
+            files: {
+                'package.json': lines(
+                    '{',
+                    '  "name": "{{project_slug}}",',
+                    '  "private": true,',
+                    '  "type": "module",',
+                    '  "scripts": { "dev": "vite", "build": "vite build", "preview": "vite preview" },',
+                    '  "dependencies": { "three": "^0.168.0" },',
+                    '  "devDependencies": { "vite": "^5.4.0" }',
+                    '}'
+                ),
+                'index.html': lines(
+                    '<!doctype html>',
+                    '<html lang="en">',
+                    '<head>',
+                    '  <meta charset="utf-8">',
+                    '  <title>{{project_name}}</title>',
+                    '  <style>html, body { margin: 0; overflow: hidden; }</style>',
+                    '</head>',
+                    '<body>',
+                    '  <script type="module" src="/src/main.js"></script>',
+                    '</body>',
+                    '</html>'
+                ),
+                'src/main.js': lines(
+                    "import * as THREE from 'three';",
+                    '',
+                    'const renderer = new THREE.WebGLRenderer({ antialias: true });',
+                    'renderer.setSize(innerWidth, innerHeight);',
+                    'document.body.appendChild(renderer.domElement);',
+                    '',
+                    'const scene = new THREE.Scene();',
+                    'const camera = new THREE.PerspectiveCamera(60, innerWidth / innerHeight, 0.1, 100);',
+                    'camera.position.set(0, 1.5, 4);',
+                    '',
+                    'scene.add(new THREE.HemisphereLight(0xffffff, 0x444444, 2));',
+                    'const cube = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial({ color: 0x4f8cff }));',
+                    'scene.add(cube);',
+                    '',
+                    '// Models go in public/assets/models; load them with GLTFLoader from three/addons/loaders/GLTFLoader.js',
+                    '',
+                    "addEventListener('resize', () => {",
+                    '    camera.aspect = innerWidth / innerHeight;',
+                    '    camera.updateProjectionMatrix();',
+                    '    renderer.setSize(innerWidth, innerHeight);',
+                    '});',
+                    '',
+                    'renderer.setAnimationLoop(() => {',
+                    '    cube.rotation.y += 0.01;',
+                    '    renderer.render(scene, camera);',
+                    '});'
+                ),
+                '.gitignore': VITE_GITIGNORE
+            }
+        }
+    };
 
-    const email = await prompt('Email: ');
-    const password = await prompt('Password: ');
+    const serializeTemplate = (id, { files, config, ...template }) => ({ id, ...template });
 
-    const response = await apiRequest('start', '/auth/login', {
-        method: 'POST',
-        body: JSON.stringify({ email, password })
+    app.get('/templates', (req, res) => {
+        res.json({
+            success: true,
+            templates: Object.entries(TEMPLATES).map(([id, template]) => serializeTemplate(id, template))
+        });
     });
 
-    if (!response.success) {
-        console.log('\\n❌ ' + (response.error || 'Login failed'));
-        return;
-    }
+    app.get('/templates/:id', (req, res) => {
+        const template = Object.hasOwn(TEMPLATES, req.params.id) && TEMPLATES[req.params.id];
+        if (!template) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
 
-    saveAuth({ token: response.token, user: response.user });
+        res.json({
+            success: true,
+            template: {
+                ...serializeTemplate(req.params.id, template),
+                config: template.config,
+                files: Object.entries(template.files).map(([path, content]) => ({ path, content }))
+            }
+        });
+    });
 
-    const config = loadConfig();
-    if (config) {
-        config.user_id = response.user.id;
-        config.plan = response.user.plan;
-        saveConfig(config);
-    }
+    // ============== PROJECTS ==============
+    // The registry of a user's projects. koye.json only stores the project ID,
+    // so every checkout that links to the same project shares its chat
+    // history and assets. IDs are created here, or adopted from a koye.json
+    // made by `koye init` (or an older CLI) so its history carries over. IDs
+    // are unique per owner, not globally: registering an ID someone committed
+    // in a public koye.json only adds it to the caller's own projects. Projects
+    // made while an organization is active belong to it and are shared by its members.
+
+    const PROJECT_ID_PATTERN = /^proj_[a-z0-9]{6,32}$/;
+    const PROJECT_NAME_MAX = 100;
+
+    const serializeProject = (project) => ({
+        id: project.id,
+        name: project.name,
+        created_at: project.created_at,
+        updated_at: project.updated_at
+    });
 
-    console.log('\\n✅ Logged in as: ' + response.user.email);
-    console.log('   Plan: ' + response.user.plan);
-    console.log('   Credits: ' + response.user.credits);
-    console.log('\\n🚀 Run \\'koye chat\\' to start building\\n');
-}
+    const projectOwner = (user) => ({ userId: user.user_id, orgId: user.org_id || null });
 
-async function cmdRegister() {
-    console.log('\\n🎮 Create KOYE Account\\n');
+    const readProjectName = (name) =>
+        typeof name === 'string' && name.trim() && name.trim().length <= PROJECT_NAME_MAX ? name.trim() : null;
 
-    const email = await prompt('Email: ');
-    const password = await prompt('Password (min 6 chars): ');
+    app.post('/projects', authenticateToken, requireScope('projects'), async (req, res) => {
+        try {
+            const name = readProjectName(req.body.name);
+            if (!name) {
+                return res.status(400).json({ success: false, error: `Project name required (max ${PROJECT_NAME_MAX} characters)` });
+            }
 
-    const response = await apiRequest('start', '/auth/register', {
-        method: 'POST',
-        body: JSON.stringify({ email, password })
-    });
+            const { id } = req.body;
+            if (id !== undefined && !(typeof id === 'string' && PROJECT_ID_PATTERN.test(id))) {
+                return res.status(400).json({ success: false, error: 'Project ID must look like proj_abc123' });
+            }
 
-    if (!response.success) {
-        console.log('\\n❌ ' + (response.error || 'Registration failed'));
-        return;
-    }
+            const org = req.user.org_id ? await authProvider.getOrg(req.user.org_id) : null;
+            const plan = planFor(org ? org.plan : req.user.plan);
+            if (plan.limits.max_projects !== null) {
+                const projects = await authProvider.listProjects(projectOwner(req.user));
+                if (projects.length >= plan.limits.max_projects) {
+                    return res.status(403).json({
+                        success: false,
+                        error: `The ${plan.name} plan allows ${plan.limits.max_projects} project(s). Upgrade to add more.`
+                    });
+                }
+            }
 
-    console.log('\\n📧 Check your email for verification link!');
-    await prompt('Press ENTER after verifying...');
+            const project = await authProvider.createProject({
+                id: id || 'proj_' + crypto.randomBytes(6).toString('hex'),
+                user_id: req.user.user_id,
+                org_id: org?.id || null,
+                name
+            });
 
-    // Try to login
-    const loginResponse = await apiRequest('start', '/auth/login', {
-        method: 'POST',
-        body: JSON.stringify({ email, password })
+            res.status(201).json({ success: true, project: serializeProject(project) });
+        } catch (error) {
+            if (error.status === 409) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            logger.error('Create project error:', error);
+            res.status(500).json({ success: false, error: 'Failed to create project' });
+        }
     });
 
-    if (loginResponse.success) {
-        saveAuth({ token: loginResponse.token, user: loginResponse.user });
-        console.log('\\n✅ Account created and logged in!');
-    } else {
-        console.log('\\n⚠️  Please run \\'koye login\\' after verifying your email');
-    }
-}
+    app.get('/projects', authenticateToken, requireScope('projects'), async (req, res) => {
+        try {
+            const projects = await authProvider.listProjects(projectOwner(req.user));
 
-async function cmdProfile() {
-    const auth = loadAuth();
-    if (!auth) {
-        console.log('\\n❌ Not logged in. Run \\'koye login\\'\\n');
-        return;
-    }
+            res.json({ success: true, projects: projects.map(serializeProject) });
+        } catch (error) {
+            logger.error('List projects error:', error);
+            res.status(500).json({ success: false, error: 'Failed to list projects' });
+        }
+    });
 
-    const response = await apiRequest('start', '/user/profile');
-    if (!response.success) {
-        console.log('\\n❌ ' + (response.error || 'Failed to fetch profile'));
-        return;
-    }
+    app.get('/projects/:id', authenticateToken, requireScope('projects'), async (req, res) => {
+        try {
+            const project = await authProvider.getProject(projectOwner(req.user), req.params.id);
 
-    console.log(\`
-╔═══════════════════════════════════════════════╗
-║              KOYE Account Profile             ║
-╠═══════════════════════════════════════════════╣
-  Email:   \${response.user.email}
-  Plan:    \${response.user.plan}
-  Credits: \${response.user.credits}
-╚═══════════════════════════════════════════════╝
-\`);
-}
+            if (!project) {
+                return res.status(404).json({ success: false, error: 'Project not found' });
+            }
 
-async function cmdChat() {
-    const config = loadConfig();
-    if (!config) {
-        console.log('\\n❌ koye.json not found. Run \\'koye init\\' first.\\n');
-        return;
-    }
+            res.json({ success: true, project: serializeProject(project) });
+        } catch (error) {
+            logger.error('Get project error:', error);
+            res.status(500).json({ success: false, error: 'Failed to fetch project' });
+        }
+    });
 
-    const auth = loadAuth();
-    if (!auth) {
-        console.log('\\n❌ Not logged in. Run \\'koye login\\' first.\\n');
-        return;
-    }
+    app.patch('/projects/:id', authenticateToken, requireScope('projects'), async (req, res) => {
+        try {
+            const name = readProjectName(req.body.name);
+            if (!name) {
+                return res.status(400).json({ success: false, error: `Project name required (max ${PROJECT_NAME_MAX} characters)` });
+            }
 
-    console.log(\`
-╔═══════════════════════════════════════════════╗
-║     🎮 KOYE AI - Game Development Chat        ║
-╚═══════════════════════════════════════════════╝
+            const project = await authProvider.updateProject(projectOwner(req.user), req.params.id, { name });
 
-  Logged in as: \${auth.user.email}
-  Project: \${config.project_name}
+            if (!project) {
+                return res.status(404).json({ success: false, error: 'Project not found' });
+            }
 
-  Type your message, or:
-    koye help   - show commands
-    koye new    - new chat session
-    exit        - quit
+            res.json({ success: true, project: serializeProject(project) });
+        } catch (error) {
+            logger.error('Rename project error:', error);
+            res.status(500).json({ success: false, error: 'Failed to rename project' });
+        }
+    });
 
-─────────────────────────────────────────────────
-\`);
+    // ============== ORGANIZATIONS ==============
+    // Teams share projects and a credit pool. Members are owners, admins or
+    // members: admins invite and remove people, owners also change roles.
+    // Invitations go to an email address and are accepted by the account with
+    // that (verified) address. A CLI session works for one organization at a
+    // time, chosen with POST /orgs/switch.
+
+    const ORG_ROLES = ['member', 'admin', 'owner']; // ascending
+    const ORG_SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/;
+    const ORG_INVITE_TTL_DAYS = 7;
+    const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+    const serializeOrg = (org, role) => ({
+        id: org.id,
+        name: org.name,
+        slug: org.slug,
+        plan: org.plan,
+        role,
+        created_at: org.created_at
+    });
 
-    // Create session
-    const sessionRes = await apiRequest('main', '/chat/sessions', {
-        method: 'POST',
-        body: JSON.stringify({ project_id: config.project_id, title: config.project_name })
+    const serializeInvite = (invite) => ({
+        id: invite.id,
+        email: invite.email,
+        role: invite.role,
+        created_at: invite.created_at,
+        expires_at: invite.expires_at
     });
 
-    if (!sessionRes.success) {
-        console.log('\\n❌ Failed to create chat session');
-        return;
-    }
+    const slugify = (name) => name.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
 
-    const sessionId = sessionRes.session.id;
-    
-    const rl = createInterface({ input: process.stdin, output: process.stdout });
+    // Organizations are addressed by ID or slug
+    const findOrg = (key) => (UUID_PATTERN.test(key) ? authProvider.getOrg(key) : authProvider.getOrgBySlug(key));
 
-    const chat = async () => {
-        rl.question('\\n\\x1b[36mYou:\\x1b[0m ', async (input) => {
-            if (!input.trim()) { chat(); return; }
-            if (input.trim().toLowerCase() === 'exit') { 
-                console.log('\\n👋 Goodbye!\\n'); 
-                rl.close(); 
-                return; 
+    // Loads req.params.id into req.org and the caller's membership into req.membership.
+    // Non-members get a 404, so the routes do not reveal which organizations exist.
+    const requireOrgRole = (minRole) => async (req, res, next) => {
+        try {
+            const org = await findOrg(req.params.id);
+            const membership = org && await authProvider.getMembership(org.id, req.user.user_id);
+            if (!membership) {
+                return res.status(404).json({ success: false, error: 'Organization not found' });
             }
-            if (input.trim().toLowerCase() === 'koye help') {
-                console.log(\`
-  koye help   - Show this help
-  koye new    - Start new session
-  exit        - Exit chat
-\`);
-                chat();
-                return;
+            if (ORG_ROLES.indexOf(membership.role) < ORG_ROLES.indexOf(minRole)) {
+                return res.status(403).json({ success: false, error: `This needs the organization ${minRole} role or higher` });
             }
+            req.org = org;
+            req.membership = membership;
+            next();
+        } catch (error) {
+            logger.error('Organization check error:', error);
+            res.status(500).json({ success: false, error: 'Failed to load organization' });
+        }
+    };
 
-            try {
-                const osInfo = platform();
-                const response = await apiRequest('main', \`/chat/sessions/\${sessionId}/messages\`, {
-                    method: 'POST',
-                    body: JSON.stringify({ 
-                        content: input,
-                        context: { os: osInfo, cwd: process.cwd() }
-                    })
-                });
+    const countOwners = async (orgId) =>
+        (await authProvider.listMembers(orgId)).filter(member => member.role === 'owner').length;
 
-                if (response.success) {
-                    console.log('\\n\\x1b[35mKOYE:\\x1b[0m ' + response.reply);
+    app.post('/orgs', authenticateToken, requireScope('orgs'), async (req, res) => {
+        try {
+            const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+            if (!name || name.length > 100) {
+                return res.status(400).json({ success: false, error: 'Organization name required (max 100 characters)' });
+            }
 
-                    if (response.actions?.length > 0) {
-                        console.log('\\n─────────────────────────────────────────────────');
-                        const localActions = ['create_file', 'delete_file', 'rename_file', 'create_folder', 'delete_folder', 'run_command'];
-                        
-                        for (const action of response.actions) {
-                            let result = action;
-                            
-                            // Execute local actions on the client
-                            if (localActions.includes(action.action) && action.params) {
-                                result = await executeLocalAction(action);
-                            }
-                            
-                            if (result.success) {
-                                const detail = result.url || result.path || result.command || (result.from ? result.from + ' → ' + result.to : null) || 'done';
-                                console.log(\`  ✅ \${result.action}: \${detail}\`);
-                            } else {
-                                console.log(\`  ❌ \${result.action}: \${result.error}\`);
-                            }
-                        }
-                        console.log('─────────────────────────────────────────────────');
-                    }
-                } else {
-                    console.log('\\n❌ ' + (response.error || 'Failed to send message'));
-                }
-            } catch (e) {
-                console.log('\\n❌ Error: ' + e.message);
+            const slug = req.body.slug || slugify(name);
+            if (!ORG_SLUG_PATTERN.test(slug)) {
+                return res.status(400).json({ success: false, error: 'Slug must be lowercase letters, digits and dashes (max 40)' });
             }
 
-            chat();
-        });
-    };
+            const org = await authProvider.createOrg({ name, slug, created_by: req.user.user_id }, req.user.user_id);
 
-    chat();
-}
+            res.status(201).json({ success: true, org: serializeOrg(org, 'owner') });
+        } catch (error) {
+            if (error.status === 409) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            logger.error('Create organization error:', error);
+            res.status(500).json({ success: false, error: 'Failed to create organization' });
+        }
+    });
 
-// ============== Main ==============
+    app.get('/orgs', authenticateToken, requireScope('orgs'), async (req, res) => {
+        try {
+            const orgs = await authProvider.listOrgsForUser(req.user.user_id);
 
-const args = process.argv.slice(2);
-const command = args[0];
+            res.json({ success: true, orgs: orgs.map(org => serializeOrg(org, org.role)), active: req.user.org_id || null });
+        } catch (error) {
+            logger.error('List organizations error:', error);
+            res.status(500).json({ success: false, error: 'Failed to list organizations' });
+        }
+    });
 
-switch (command) {
-    case 'init': cmdInit(); break;
-    case 'login': cmdLogin(); break;
-    case 'register': cmdRegister(); break;
-    case 'profile': cmdProfile(); break;
-    case 'chat': cmdChat(); break;
-    case 'help': case '--help': case '-h': case undefined: cmdHelp(); break;
-    default: console.log('Unknown command: ' + command + '. Run \\'koye help\\' for usage.');
-}
-`;
+    // Body { org: <id or slug> } works for that organization from now on; { org: null } goes back to personal
+    app.post('/orgs/switch', authenticateToken, requireScope('orgs'), async (req, res) => {
+        if (!req.user.sid) {
+            return res.status(400).json({ success: false, error: 'Personal access tokens always act for their user' });
+        }
 
-    res.setHeader('Content-Type', 'application/javascript');
-    res.send(cliScript);
-});
+        try {
+            let org = null;
+            if (req.body.org) {
+                org = await findOrg(String(req.body.org));
+                const membership = org && await authProvider.getMembership(org.id, req.user.user_id);
+                if (!membership) {
+                    return res.status(404).json({ success: false, error: 'Organization not found' });
+                }
+                org = serializeOrg(org, membership.role);
+            }
 
-// ============== CONFIGURATION ==============
+            await authProvider.updateSessions({ id: req.user.sid }, { org_id: org?.id || null });
 
-app.get('/config/init', (req, res) => {
-    res.json({
-        success: true,
-        config: {
-            version: process.env.CLI_VERSION || '1.0.0',
-            servers: {
-                start: START_SERVER_URL,
-                main: MAIN_SERVER_URL,
-                make_public: MAKE_PUBLIC_URL
-            },
-            assets: {
-                root: './koye-assets',
-                images: 'images',
-                videos: 'videos',
-                audio: 'audio',
-                models3d: '3dmodels',
-                other: 'other'
-            },
-            features: {
-                chat_enabled: true,
-                sync_chat_history: true,
-                allow_make_public: true
-            }
+            res.json({ success: true, org });
+        } catch (error) {
+            logger.error('Switch organization error:', error);
+            res.status(500).json({ success: false, error: 'Failed to switch organization' });
         }
     });
-});
-
-// ============== AUTHENTICATION ==============
-
-app.post('/auth/register', async (req, res) => {
-    try {
-        const { email, password } = req.body;
 
-        if (!email || !password) {
-            return res.status(400).json({ success: false, error: 'Email and password required' });
+    app.get('/orgs/:id', authenticateToken, requireScope('orgs'), requireOrgRole('member'), async (req, res) => {
+        try {
+            res.json({
+                success: true,
+                org: {
+                    ...serializeOrg(req.org, req.membership.role),
+                    credits: await authProvider.getOrgCreditBalance(req.org.id)
+                }
+            });
+        } catch (error) {
+            logger.error('Get organization error:', error);
+            res.status(500).json({ success: false, error: 'Failed to fetch organization' });
         }
+    });
 
-        if (password.length < 6) {
-            return res.status(400).json({ success: false, error: 'Password must be at least 6 characters' });
+    app.get('/orgs/:id/members', authenticateToken, requireScope('orgs'), requireOrgRole('member'), async (req, res) => {
+        try {
+            const members = await authProvider.listMembers(req.org.id);
+            const users = await Promise.all(members.map(member => authProvider.getUser(member.user_id)));
+
+            res.json({
+                success: true,
+                members: members.map((member, i) => ({
+                    user_id: member.user_id,
+                    email: users[i]?.email || null,
+                    role: member.role,
+                    joined_at: member.created_at
+                }))
+            });
+        } catch (error) {
+            logger.error('List members error:', error);
+            res.status(500).json({ success: false, error: 'Failed to list members' });
         }
+    });
 
-        const { data, error } = await supabase.auth.admin.createUser({
-            email,
-            password,
-            email_confirm: false,
-            user_metadata: { plan: 'FREE', credits: 100, registered_via: 'cli' }
-        });
+    app.patch('/orgs/:id/members/:userId', authenticateToken, requireScope('orgs'), requireOrgRole('owner'), async (req, res) => {
+        try {
+            const { role } = req.body;
+            if (!ORG_ROLES.includes(role)) {
+                return res.status(400).json({ success: false, error: `Role must be one of: ${ORG_ROLES.join(', ')}` });
+            }
+
+            const member = UUID_PATTERN.test(req.params.userId) && await authProvider.getMembership(req.org.id, req.params.userId);
+            if (!member) {
+                return res.status(404).json({ success: false, error: 'Member not found' });
+            }
+            if (member.role === 'owner' && role !== 'owner' && await countOwners(req.org.id) === 1) {
+                return res.status(409).json({ success: false, error: 'An organization needs at least one owner' });
+            }
 
-        if (error) {
-            return res.status(400).json({ success: false, error: error.message });
+            const updated = await authProvider.updateMember(req.org.id, member.user_id, { role });
+
+            res.json({ success: true, member: { user_id: updated.user_id, role: updated.role } });
+        } catch (error) {
+            logger.error('Update member error:', error);
+            res.status(500).json({ success: false, error: 'Failed to update member' });
         }
+    });
 
-        await supabase.auth.resend({ type: 'signup', email });
+    // Admins remove members and admins, owners anyone; every member may remove themselves (leave)
+    app.delete('/orgs/:id/members/:userId', authenticateToken, requireScope('orgs'), requireOrgRole('member'), async (req, res) => {
+        try {
+            const member = UUID_PATTERN.test(req.params.userId) && await authProvider.getMembership(req.org.id, req.params.userId);
+            if (!member) {
+                return res.status(404).json({ success: false, error: 'Member not found' });
+            }
 
-        res.json({
-            success: true,
-            message: 'Check your email for verification',
-            user_id: data.user.id
-        });
-    } catch (error) {
-        console.error('Registration error:', error);
-        res.status(500).json({ success: false, error: 'Registration failed' });
-    }
-});
+            const self = member.user_id === req.user.user_id;
+            const rank = (role) => ORG_ROLES.indexOf(role);
+            if (!self && (rank(req.membership.role) < rank('admin') || rank(member.role) > rank(req.membership.role))) {
+                return res.status(403).json({ success: false, error: 'Not allowed to remove this member' });
+            }
+            if (member.role === 'owner' && await countOwners(req.org.id) === 1) {
+                return res.status(409).json({ success: false, error: 'An organization needs at least one owner' });
+            }
 
-app.post('/auth/login', async (req, res) => {
-    try {
-        const { email, password } = req.body;
+            await authProvider.removeMember(req.org.id, member.user_id);
+            await authProvider.updateSessions({ user_id: member.user_id, org_id: req.org.id }, { org_id: null });
 
-        if (!email || !password) {
-            return res.status(400).json({ success: false, error: 'Email and password required' });
+            res.json({ success: true });
+        } catch (error) {
+            logger.error('Remove member error:', error);
+            res.status(500).json({ success: false, error: 'Failed to remove member' });
         }
+    });
 
-        const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+    app.post('/orgs/:id/invites', authenticateToken, requireScope('orgs'), requireOrgRole('admin'), async (req, res) => {
+        try {
+            const email = normalizeAccount(req.body.email);
+            const { role = 'member' } = req.body;
 
-        if (error) {
-            return res.status(401).json({ success: false, error: error.message });
-        }
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+                return res.status(400).json({ success: false, error: 'A valid email address is required' });
+            }
+            if (!['member', 'admin'].includes(role)) {
+                return res.status(400).json({ success: false, error: 'Invitations are for the member or admin role' });
+            }
 
-        if (!data.user.email_confirmed_at) {
-            return res.status(403).json({
-                success: false,
-                error: 'Email not verified',
-                needs_verification: true
+            const invite = await authProvider.createInvite({
+                org_id: req.org.id,
+                email,
+                role,
+                invited_by: req.user.user_id,
+                expires_at: new Date(Date.now() + ORG_INVITE_TTL_DAYS * 86400 * 1000).toISOString()
             });
-        }
 
-        const token = jwt.sign(
-            { user_id: data.user.id, email: data.user.email, plan: data.user.user_metadata?.plan || 'FREE' },
-            process.env.JWT_SECRET,
-            { expiresIn: '30d' }
-        );
+            // The invitation stands even if the email fails; `koye org accept` lists it either way
+            await authProvider.sendInvitationEmail({ email, org: req.org, inviter: req.user.email })
+                .catch(err => logger.error('Invitation email error:', err));
 
-        res.json({
-            success: true,
-            token,
-            user: {
-                id: data.user.id,
-                email: data.user.email,
-                plan: data.user.user_metadata?.plan || 'FREE',
-                credits: data.user.user_metadata?.credits || 100
+            res.status(201).json({ success: true, invite: serializeInvite(invite) });
+        } catch (error) {
+            if (error.status === 409) {
+                return res.status(409).json({ success: false, error: error.message });
             }
-        });
-    } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ success: false, error: 'Login failed' });
-    }
-});
-
-app.get('/auth/status', async (req, res) => {
-    try {
-        const { email } = req.query;
-        if (!email) {
-            return res.status(400).json({ success: false, error: 'Email required' });
+            logger.error('Create invite error:', error);
+            res.status(500).json({ success: false, error: 'Failed to create invitation' });
         }
+    });
 
-        const { data } = await supabase.auth.admin.listUsers();
-        const user = data.users.find(u => u.email === email);
+    app.get('/orgs/:id/invites', authenticateToken, requireScope('orgs'), requireOrgRole('admin'), async (req, res) => {
+        try {
+            const invites = await authProvider.listInvites({ orgId: req.org.id });
 
-        if (!user) {
-            return res.status(404).json({ success: false, error: 'User not found' });
+            res.json({ success: true, invites: invites.map(serializeInvite) });
+        } catch (error) {
+            logger.error('List invites error:', error);
+            res.status(500).json({ success: false, error: 'Failed to list invitations' });
         }
+    });
 
-        res.json({ success: true, email_confirmed: !!user.email_confirmed_at });
-    } catch (error) {
-        res.status(500).json({ success: false, error: 'Status check failed' });
-    }
-});
-
-// ============== AUTH MIDDLEWARE ==============
+    app.delete('/orgs/:id/invites/:inviteId', authenticateToken, requireScope('orgs'), requireOrgRole('admin'), async (req, res) => {
+        try {
+            const invite = UUID_PATTERN.test(req.params.inviteId) && await authProvider.getInvite(req.params.inviteId);
+            if (!invite || invite.org_id !== req.org.id || invite.accepted_at || invite.revoked_at) {
+                return res.status(404).json({ success: false, error: 'Invitation not found' });
+            }
 
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+            await authProvider.updateInvite(invite.id, { revoked_at: new Date().toISOString() });
 
-    if (!token) {
-        return res.status(401).json({ success: false, error: 'Authentication required' });
-    }
+            res.json({ success: true });
+        } catch (error) {
+            logger.error('Revoke invite error:', error);
+            res.status(500).json({ success: false, error: 'Failed to revoke invitation' });
+        }
+    });
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ success: false, error: 'Invalid token' });
+    // Open invitations addressed to the caller's email
+    app.get('/user/invites', authenticateToken, requireScope('orgs'), async (req, res) => {
+        try {
+            const invites = await authProvider.listInvites({ email: normalizeAccount(req.user.email) });
+            const orgs = await Promise.all(invites.map(invite => authProvider.getOrg(invite.org_id)));
+
+            res.json({
+                success: true,
+                invites: invites.map((invite, i) => ({
+                    ...serializeInvite(invite),
+                    org: orgs[i] && { id: orgs[i].id, name: orgs[i].name, slug: orgs[i].slug }
+                }))
+            });
+        } catch (error) {
+            logger.error('List user invites error:', error);
+            res.status(500).json({ success: false, error: 'Failed to list invitations' });
         }
-        req.user = user;
-        next();
     });
-};
 
-// ============== USER PROFILE ==============
+    app.post('/user/invites/:id/accept', authenticateToken, requireScope('orgs'), async (req, res) => {
+        try {
+            const invite = UUID_PATTERN.test(req.params.id) && await authProvider.getInvite(req.params.id);
+            const open = invite && !invite.accepted_at && !invite.revoked_at && new Date(invite.expires_at) > new Date();
+            if (!open || invite.email !== normalizeAccount(req.user.email)) {
+                return res.status(404).json({ success: false, error: 'Invitation not found or expired' });
+            }
 
-app.get('/user/profile', authenticateToken, async (req, res) => {
-    try {
-        const { data, error } = await supabase.auth.admin.getUserById(req.user.user_id);
+            const org = await authProvider.getOrg(invite.org_id);
+            const membership = await authProvider.getMembership(org.id, req.user.user_id)
+                || await authProvider.addMember({ org_id: org.id, user_id: req.user.user_id, role: invite.role });
+            await authProvider.updateInvite(invite.id, { accepted_at: new Date().toISOString() });
 
-        if (error || !data.user) {
-            return res.status(404).json({ success: false, error: 'User not found' });
+            res.json({ success: true, org: serializeOrg(org, membership.role) });
+        } catch (error) {
+            logger.error('Accept invite error:', error);
+            res.status(500).json({ success: false, error: 'Failed to accept invitation' });
         }
+    });
+
+    // ============== HEALTH CHECK ==============
 
+    app.get('/health', (req, res) => {
         res.json({
-            success: true,
-            user: {
-                id: data.user.id,
-                email: data.user.email,
-                plan: data.user.user_metadata?.plan || 'FREE',
-                credits: data.user.user_metadata?.credits || 100,
-                created_at: data.user.created_at
-            }
+            status: 'ok',
+            service: 'koye-start-server',
+            version: CLI_VERSION
         });
-    } catch (error) {
-        res.status(500).json({ success: false, error: 'Failed to fetch profile' });
-    }
-});
-
-app.get('/auth/validate', authenticateToken, (req, res) => {
-    res.json({ success: true, valid: true, user: req.user });
-});
+    });
 
-// ============== HEALTH CHECK ==============
+    // ============== LIFECYCLE ==============
 
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        service: 'koye-start-server',
-        version: process.env.CLI_VERSION || '1.0.0'
+    // Resolves with the listening http.Server
+    const start = (port = process.env.PORT || 3001) => new Promise((resolve, reject) => {
+        server = app.listen(port, () => {
+            server.off('error', reject);
+            logger.info(`🚀 KOYE Start Server running on port ${server.address().port}`);
+            logger.info(`   Install: curl -fsSL http://localhost:${server.address().port}/install.sh | bash`);
+            resolve(server);
+        });
+        server.once('error', reject);
     });
-});
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 KOYE Start Server running on port ${PORT}`);
-    console.log(`   Install: curl -fsSL http://localhost:${PORT}/install.sh | bash`);
-});
+    // Stops accepting connections and waits for in-flight requests to finish;
+    // connections still open after `timeout` seconds are closed
+    const stop = async ({ timeout = SHUTDOWN_TIMEOUT } = {}) => {
+        if (server) {
+            shuttingDown = true;
+            const closed = new Promise(resolve => server.close(resolve));
+            server.closeIdleConnections();
+            const deadline = setTimeout(() => server.closeAllConnections(), timeout * 1000);
+            await closed;
+            clearTimeout(deadline);
+            server = null;
+        }
+        // A store passed in may be shared with other instances; its owner closes it
+        if (!rateLimitStoreOption) await rateLimitStore.close?.();
+    };
+
+    return { app, start, stop };
+};
+
+// ============== STANDALONE ==============
+
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    let startServer;
+    try {
+        startServer = createStartServer();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    await startServer.start();
+
+    // SIGTERM from the orchestrator (or Ctrl+C): finish in-flight requests, then exit
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+        process.once(signal, async () => {
+            console.log(`${signal} received, draining connections...`);
+            await startServer.stop();
+            process.exit(0);
+        });
+    }
+}
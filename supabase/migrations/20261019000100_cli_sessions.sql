@@ -0,0 +1,20 @@
+-- CLI login sessions: one row per `koye login`, backing refresh tokens and revocation.
+-- Refresh tokens are stored only as SHA-256 hashes.
+
+create table if not exists public.cli_sessions (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    refresh_token_hash text not null unique,
+    previous_token_hash text,
+    user_agent text,
+    created_at timestamptz not null default now(),
+    last_used_at timestamptz,
+    expires_at timestamptz not null,
+    revoked_at timestamptz
+);
+
+create index if not exists cli_sessions_user_id_idx on public.cli_sessions (user_id);
+create index if not exists cli_sessions_previous_token_hash_idx on public.cli_sessions (previous_token_hash);
+
+-- Only the start server (service role) touches this table
+alter table public.cli_sessions enable row level security;
@@ -0,0 +1,20 @@
+-- Personal access tokens for CI and scripts (`KOYE_TOKEN`).
+-- Only a SHA-256 hash of the token is stored; `token_prefix` identifies it in listings.
+
+create table if not exists public.personal_access_tokens (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    name text not null,
+    token_hash text not null unique,
+    token_prefix text not null,
+    scopes text[] not null default '{}',
+    created_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    last_used_at timestamptz,
+    revoked_at timestamptz
+);
+
+create index if not exists personal_access_tokens_user_id_idx on public.personal_access_tokens (user_id);
+
+-- Only the start server (service role) touches this table
+alter table public.personal_access_tokens enable row level security;
@@ -0,0 +1,89 @@
+-- Credit ledger: one row per grant (positive amount) or debit (negative amount).
+-- credit_balances caches the running total; entries are written only through
+-- record_credit_entry() so the balance check and the insert share one row lock.
+
+create table if not exists public.credit_ledger (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    amount integer not null check (amount <> 0),
+    balance_after integer not null,
+    action text not null,
+    project_id text,
+    description text,
+    idempotency_key text,
+    created_at timestamptz not null default now(),
+    unique (user_id, idempotency_key)
+);
+
+create index if not exists credit_ledger_user_id_created_at_idx on public.credit_ledger (user_id, created_at desc);
+
+create table if not exists public.credit_balances (
+    user_id uuid primary key references auth.users (id) on delete cascade,
+    balance integer not null default 0,
+    updated_at timestamptz not null default now()
+);
+
+-- Returns the new entry, or the existing one when the idempotency key was already used.
+-- Debits that would take the balance below zero raise 'insufficient_credits' (detail: balance).
+create or replace function public.record_credit_entry(
+    p_user_id uuid,
+    p_amount integer,
+    p_action text,
+    p_project_id text default null,
+    p_description text default null,
+    p_idempotency_key text default null
+) returns public.credit_ledger
+language plpgsql
+as $$
+declare
+    v_balance integer;
+    v_entry public.credit_ledger;
+begin
+    insert into public.credit_balances (user_id) values (p_user_id) on conflict (user_id) do nothing;
+    select balance into v_balance from public.credit_balances where user_id = p_user_id for update;
+
+    if p_idempotency_key is not null then
+        select * into v_entry from public.credit_ledger
+        where user_id = p_user_id and idempotency_key = p_idempotency_key;
+        if found then
+            return v_entry;
+        end if;
+    end if;
+
+    if p_amount < 0 and v_balance + p_amount < 0 then
+        raise exception 'insufficient_credits' using detail = v_balance::text;
+    end if;
+
+    update public.credit_balances
+    set balance = v_balance + p_amount, updated_at = now()
+    where user_id = p_user_id;
+
+    insert into public.credit_ledger (user_id, amount, balance_after, action, project_id, description, idempotency_key)
+    values (p_user_id, p_amount, v_balance + p_amount, p_action, p_project_id, p_description, p_idempotency_key)
+    returning * into v_entry;
+
+    return v_entry;
+end;
+$$;
+
+-- Exposed over PostgREST otherwise: only the service role may move credits
+revoke execute on function public.record_credit_entry(uuid, integer, text, text, text, text) from public, anon, authenticated;
+
+-- Carry existing balances over from user_metadata.credits (which defaulted to 100)
+insert into public.credit_ledger (user_id, amount, balance_after, action, description, idempotency_key)
+select id, credits, credits, 'opening_balance', 'Balance carried over from user_metadata.credits', 'opening_balance'
+from (
+    select id, coalesce(round((raw_user_meta_data ->> 'credits')::numeric)::integer, 100) as credits
+    from auth.users
+) as existing
+where credits <> 0
+on conflict (user_id, idempotency_key) do nothing;
+
+insert into public.credit_balances (user_id, balance)
+select id, coalesce(round((raw_user_meta_data ->> 'credits')::numeric)::integer, 100)
+from auth.users
+on conflict (user_id) do nothing;
+
+-- Only the start server (service role) touches these tables
+alter table public.credit_ledger enable row level security;
+alter table public.credit_balances enable row level security;
@@ -0,0 +1,15 @@
+-- Projects registered by `koye init` / `koye link`. The ID is what koye.json
+-- stores, so every checkout linked to a project shares its history.
+
+create table if not exists public.projects (
+    id text primary key,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    name text not null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists projects_user_id_idx on public.projects (user_id);
+
+-- Only the start server (service role) touches this table
+alter table public.projects enable row level security;
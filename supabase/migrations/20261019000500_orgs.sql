@@ -0,0 +1,128 @@
+-- Organizations: members with roles, email invitations, a shared credit pool
+-- and shared projects. A CLI session works either for its user or, after
+-- `koye org switch`, for one organization (cli_sessions.org_id).
+
+create table if not exists public.orgs (
+    id uuid primary key default gen_random_uuid(),
+    name text not null,
+    slug text not null unique,
+    plan text not null default 'FREE',
+    created_by uuid references auth.users (id) on delete set null,
+    created_at timestamptz not null default now()
+);
+
+create table if not exists public.org_members (
+    org_id uuid not null references public.orgs (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    role text not null check (role in ('owner', 'admin', 'member')),
+    created_at timestamptz not null default now(),
+    primary key (org_id, user_id)
+);
+
+create index if not exists org_members_user_id_idx on public.org_members (user_id);
+
+create table if not exists public.org_invites (
+    id uuid primary key default gen_random_uuid(),
+    org_id uuid not null references public.orgs (id) on delete cascade,
+    email text not null,
+    role text not null check (role in ('admin', 'member')),
+    invited_by uuid references auth.users (id) on delete set null,
+    created_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    accepted_at timestamptz,
+    revoked_at timestamptz
+);
+
+-- One open invitation per address and organization
+create unique index if not exists org_invites_pending_idx on public.org_invites (org_id, email)
+where accepted_at is null and revoked_at is null;
+create index if not exists org_invites_email_idx on public.org_invites (email);
+
+alter table public.cli_sessions add column if not exists org_id uuid references public.orgs (id) on delete set null;
+
+alter table public.projects add column if not exists org_id uuid references public.orgs (id) on delete cascade;
+create index if not exists projects_org_id_idx on public.projects (org_id);
+
+-- Shared credit pool: org entries carry org_id (and the spending member in user_id, if any)
+create table if not exists public.org_credit_balances (
+    org_id uuid primary key references public.orgs (id) on delete cascade,
+    balance integer not null default 0,
+    updated_at timestamptz not null default now()
+);
+
+alter table public.credit_ledger add column if not exists org_id uuid references public.orgs (id) on delete cascade;
+alter table public.credit_ledger alter column user_id drop not null;
+alter table public.credit_ledger add constraint credit_ledger_account_check check (user_id is not null or org_id is not null);
+create index if not exists credit_ledger_org_id_created_at_idx on public.credit_ledger (org_id, created_at desc);
+
+-- Idempotency keys are scoped to the account whose balance moves
+alter table public.credit_ledger drop constraint if exists credit_ledger_user_id_idempotency_key_key;
+create unique index if not exists credit_ledger_user_idempotency_idx on public.credit_ledger (user_id, idempotency_key)
+where org_id is null;
+create unique index if not exists credit_ledger_org_idempotency_idx on public.credit_ledger (org_id, idempotency_key)
+where org_id is not null;
+
+drop function if exists public.record_credit_entry(uuid, integer, text, text, text, text);
+
+-- As before, plus p_org_id: when set, the organization's pool is debited or granted instead
+create or replace function public.record_credit_entry(
+    p_user_id uuid,
+    p_amount integer,
+    p_action text,
+    p_project_id text default null,
+    p_description text default null,
+    p_idempotency_key text default null,
+    p_org_id uuid default null
+) returns public.credit_ledger
+language plpgsql
+as $$
+declare
+    v_balance integer;
+    v_entry public.credit_ledger;
+begin
+    if p_org_id is null then
+        insert into public.credit_balances (user_id) values (p_user_id) on conflict (user_id) do nothing;
+        select balance into v_balance from public.credit_balances where user_id = p_user_id for update;
+    else
+        insert into public.org_credit_balances (org_id) values (p_org_id) on conflict (org_id) do nothing;
+        select balance into v_balance from public.org_credit_balances where org_id = p_org_id for update;
+    end if;
+
+    if p_idempotency_key is not null then
+        select * into v_entry from public.credit_ledger
+        where idempotency_key = p_idempotency_key
+          and (case when p_org_id is null then org_id is null and user_id = p_user_id else org_id = p_org_id end);
+        if found then
+            return v_entry;
+        end if;
+    end if;
+
+    if p_amount < 0 and v_balance + p_amount < 0 then
+        raise exception 'insufficient_credits' using detail = v_balance::text;
+    end if;
+
+    if p_org_id is null then
+        update public.credit_balances
+        set balance = v_balance + p_amount, updated_at = now()
+        where user_id = p_user_id;
+    else
+        update public.org_credit_balances
+        set balance = v_balance + p_amount, updated_at = now()
+        where org_id = p_org_id;
+    end if;
+
+    insert into public.credit_ledger (user_id, org_id, amount, balance_after, action, project_id, description, idempotency_key)
+    values (p_user_id, p_org_id, p_amount, v_balance + p_amount, p_action, p_project_id, p_description, p_idempotency_key)
+    returning * into v_entry;
+
+    return v_entry;
+end;
+$$;
+
+revoke execute on function public.record_credit_entry(uuid, integer, text, text, text, text, uuid) from public, anon, authenticated;
+
+-- Only the start server (service role) touches these tables
+alter table public.orgs enable row level security;
+alter table public.org_members enable row level security;
+alter table public.org_invites enable row level security;
+alter table public.org_credit_balances enable row level security;
@@ -0,0 +1,12 @@
+-- Project IDs are unique per owner (a user's personal projects, or an
+-- organization's) instead of globally. koye.json files are committed, often
+-- publicly, and a global key let anyone register a published ID first and
+-- lock its owner out. Services that look a project up by ID must scope the
+-- lookup to the caller, as the start server does.
+
+alter table public.projects drop constraint if exists projects_pkey;
+alter table public.projects add column if not exists row_id uuid not null default gen_random_uuid();
+alter table public.projects add constraint projects_pkey primary key (row_id);
+
+create unique index if not exists projects_user_project_id_idx on public.projects (user_id, id) where org_id is null;
+create unique index if not exists projects_org_project_id_idx on public.projects (org_id, id) where org_id is not null;
@@ -0,0 +1,23 @@
+-- inviteUserByEmail() creates an auth user, without a password, for an invited
+-- address that has no account yet. `koye register` for that address replaces
+-- the placeholder with a real account; this finds it, since the admin API has
+-- no lookup by email.
+
+create or replace function public.invited_placeholder_user(p_email text)
+returns uuid
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+    select id
+    from auth.users
+    where lower(email) = lower(p_email)
+      and invited_at is not null
+      and coalesce(encrypted_password, '') = ''
+      and raw_user_meta_data ->> 'registered_via' = 'org_invite'
+    limit 1;
+$$;
+
+-- Exposed over PostgREST otherwise: only the service role may look up users
+revoke execute on function public.invited_placeholder_user(text) from public, anon, authenticated;
@@ -0,0 +1,256 @@
+// Integration tests for createStartServer() with the local auth provider: a
+// throwaway LOCAL_AUTH_DIR, port 0, and verification links read from the outbox.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createStartServer } from '../src/index.js';
+
+const silentLogger = { info() {}, error() {} };
+const authDir = mkdtempSync(join(tmpdir(), 'koye-start-server-'));
+process.env.LOCAL_AUTH_DIR = authDir;
+// Every test registers from 127.0.0.1
+process.env.RATE_LIMIT_REGISTER_PER_IP = '100';
+
+const startInstance = async () => {
+    const instance = createStartServer({ jwtSecret: 'test-secret', authProvider: 'local', logger: silentLogger });
+    const server = await instance.start(0);
+    return { ...instance, server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+};
+
+let instance;
+
+const call = async (method, path, { body, token } = {}) => {
+    const response = await fetch(instance.baseUrl + path, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token && { Authorization: `Bearer ${token}` })
+        },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+// The local provider writes one JSON line per email it would have sent
+const lastVerificationLink = (email) => {
+    const sent = readFileSync(join(authDir, 'outbox.jsonl'), 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    const { link } = sent.filter(message => message.to === email).at(-1);
+    const url = new URL(link);
+    return url.pathname + url.search;
+};
+
+const registerVerifiedUser = async (email, password) => {
+    const registered = await call('POST', '/auth/register', { body: { email, password } });
+    assert.equal(registered.status, 200);
+
+    const verified = await fetch(instance.baseUrl + lastVerificationLink(email));
+    assert.equal(verified.status, 200);
+
+    const login = await call('POST', '/auth/login', { body: { email, password } });
+    assert.equal(login.status, 200);
+    return login.body;
+};
+
+before(async () => {
+    instance = await startInstance();
+});
+
+after(async () => {
+    await instance.stop();
+    rmSync(authDir, { recursive: true, force: true });
+});
+
+test('register, verify by email link, log in, refresh and log out', async () => {
+    const email = 'flow@example.com';
+    const registered = await call('POST', '/auth/register', { body: { email, password: 'secret123' } });
+    assert.equal(registered.status, 200);
+    assert.ok(registered.body.registration);
+
+    const unverified = await call('POST', '/auth/login', { body: { email, password: 'secret123' } });
+    assert.equal(unverified.status, 403);
+    assert.equal(unverified.body.needs_verification, true);
+
+    let status = await call('POST', '/auth/verification/status', { body: { registration: registered.body.registration } });
+    assert.equal(status.body.verified, false);
+
+    const verified = await fetch(instance.baseUrl + lastVerificationLink(email));
+    assert.equal(verified.status, 200);
+
+    status = await call('POST', '/auth/verification/status', { body: { registration: registered.body.registration } });
+    assert.equal(status.body.verified, true);
+
+    const login = await call('POST', '/auth/login', { body: { email, password: 'secret123' } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.user.email, email);
+
+    const profile = await call('GET', '/user/profile', { token: login.body.token });
+    assert.equal(profile.status, 200);
+    assert.equal(profile.body.user.email, email);
+
+    const refreshed = await call('POST', '/auth/refresh', { body: { refresh_token: login.body.refresh_token } });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refresh_token, login.body.refresh_token);
+
+    // Replaying a rotated-out refresh token revokes the session
+    const replayed = await call('POST', '/auth/refresh', { body: { refresh_token: login.body.refresh_token } });
+    assert.equal(replayed.status, 401);
+    const afterReplay = await call('POST', '/auth/refresh', { body: { refresh_token: refreshed.body.refresh_token } });
+    assert.equal(afterReplay.status, 401);
+
+    const again = await call('POST', '/auth/login', { body: { email, password: 'secret123' } });
+    const logout = await call('POST', '/auth/logout', { token: again.body.token });
+    assert.equal(logout.status, 200);
+    assert.equal((await call('GET', '/user/profile', { token: again.body.token })).status, 401);
+    assert.equal((await call('POST', '/auth/refresh', { body: { refresh_token: again.body.refresh_token } })).status, 401);
+});
+
+test('registering a taken address looks like a new registration', async () => {
+    await registerVerifiedUser('taken@example.com', 'secret123');
+
+    const again = await call('POST', '/auth/register', { body: { email: 'taken@example.com', password: 'other1234' } });
+    assert.equal(again.status, 200);
+    assert.deepEqual(Object.keys(again.body).sort(), ['interval', 'message', 'registration', 'success', 'user_id']);
+
+    const status = await call('POST', '/auth/verification/status', { body: { registration: again.body.registration } });
+    assert.equal(status.body.verified, false);
+
+    // Both paths hash the password, so a taken address does not answer measurably faster
+    const timeRegistration = async (email) => {
+        const started = performance.now();
+        assert.equal((await call('POST', '/auth/register', { body: { email, password: 'secret123' } })).status, 200);
+        return performance.now() - started;
+    };
+    const median = (values) => values.sort((a, b) => a - b)[Math.floor(values.length / 2)];
+    const emails = ['timing-1@example.com', 'timing-2@example.com', 'timing-3@example.com'];
+    const fresh = [];
+    for (const email of emails) fresh.push(await timeRegistration(email));
+    const taken = [];
+    for (const email of emails) taken.push(await timeRegistration(email));
+    assert.ok(median(taken) > median(fresh) / 2, `taken ${median(taken).toFixed(1)} ms vs new ${median(fresh).toFixed(1)} ms`);
+});
+
+test('wrong passwords are rejected', async () => {
+    await registerVerifiedUser('password@example.com', 'secret123');
+
+    const login = await call('POST', '/auth/login', { body: { email: 'password@example.com', password: 'wrong-password' } });
+    assert.equal(login.status, 401);
+});
+
+test('personal access tokens are limited to their scopes and stop working once revoked', async () => {
+    const session = await registerVerifiedUser('pat@example.com', 'secret123');
+
+    const created = await call('POST', '/auth/tokens', {
+        token: session.token,
+        body: { name: 'ci', scopes: ['profile:read', 'tokens:manage'] }
+    });
+    assert.equal(created.status, 200);
+    assert.match(created.body.token, /^koye_pat_/);
+    assert.deepEqual(created.body.access_token.scopes, ['profile:read', 'tokens:manage']);
+    const pat = created.body.token;
+
+    assert.equal((await call('GET', '/user/profile', { token: pat })).status, 200);
+
+    const outOfScope = await call('GET', '/projects', { token: pat });
+    assert.equal(outOfScope.status, 403);
+    assert.match(outOfScope.body.error, /'projects' scope/);
+
+    // A token cannot mint a broader one, or one with every scope
+    const broader = await call('POST', '/auth/tokens', { token: pat, body: { name: 'wider', scopes: ['projects'] } });
+    assert.equal(broader.status, 403);
+    const unscoped = await call('POST', '/auth/tokens', { token: pat, body: { name: 'all' } });
+    assert.equal(unscoped.status, 403);
+
+    const unknownScope = await call('POST', '/auth/tokens', { token: session.token, body: { name: 'bad', scopes: ['admin'] } });
+    assert.equal(unknownScope.status, 400);
+
+    const listed = await call('GET', '/auth/tokens', { token: session.token });
+    assert.deepEqual(listed.body.tokens.map(token => token.name), ['ci']);
+
+    const logout = await call('POST', '/auth/logout', { token: pat });
+    assert.equal(logout.status, 400);
+
+    const revoked = await call('DELETE', `/auth/tokens/${created.body.access_token.id}`, { token: session.token });
+    assert.equal(revoked.status, 200);
+    assert.equal((await call('GET', '/user/profile', { token: pat })).status, 401);
+    assert.equal((await call('DELETE', `/auth/tokens/${created.body.access_token.id}`, { token: session.token })).status, 404);
+});
+
+test('stop() waits for in-flight requests and then refuses new connections', async () => {
+    const draining = await startInstance();
+    const { port } = draining.server.address();
+    const body = JSON.stringify({ registration: 'not-a-handle' });
+
+    const request = http.request({
+        port,
+        method: 'POST',
+        path: '/auth/verification/status',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+    });
+    const response = new Promise((resolve, reject) => {
+        request.on('response', res => {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(data) }));
+        });
+        request.on('error', reject);
+    });
+
+    // Headers are in, the body is not: the request is in flight
+    const received = new Promise(resolve => draining.server.once('request', resolve));
+    request.write(body.slice(0, 5));
+    await received;
+
+    let stopped = false;
+    const stopping = draining.stop().then(() => { stopped = true; });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(stopped, false);
+
+    request.end(body.slice(5));
+    const finished = await response;
+    assert.equal(finished.status, 400);
+    assert.equal(finished.headers.connection, 'close');
+
+    await stopping;
+    await assert.rejects(fetch(`http://127.0.0.1:${port}/plans`));
+});
+
+test('project IDs are unique per owner, so a published ID cannot be claimed from its owner', async () => {
+    const owner = await registerVerifiedUser('owner@example.com', 'secret123');
+    const other = await registerVerifiedUser('other@example.com', 'secret123');
+    const id = 'proj_abc123def456';
+
+    const squatted = await call('POST', '/projects', { token: other.token, body: { name: 'Squat', id } });
+    assert.equal(squatted.status, 201);
+
+    const adopted = await call('POST', '/projects', { token: owner.token, body: { name: 'Mine', id } });
+    assert.equal(adopted.status, 201);
+    assert.equal((await call('POST', '/projects', { token: owner.token, body: { name: 'Again', id } })).status, 409);
+
+    const mine = await call('GET', `/projects/${id}`, { token: owner.token });
+    assert.equal(mine.body.project.name, 'Mine');
+});
+
+test('an invited address without an account can register, get the signup bonus and accept', async () => {
+    const owner = await registerVerifiedUser('org-owner@example.com', 'secret123');
+    const { body: { org } } = await call('POST', '/orgs', { token: owner.token, body: { name: 'Invite Studio' } });
+
+    const invited = await call('POST', `/orgs/${org.id}/invites`, { token: owner.token, body: { email: 'newcomer@example.com' } });
+    assert.equal(invited.status, 201);
+
+    const newcomer = await registerVerifiedUser('newcomer@example.com', 'secret123');
+    assert.equal(newcomer.user.credits, 100);
+
+    const { body: { invites } } = await call('GET', '/user/invites', { token: newcomer.token });
+    assert.deepEqual(invites.map(invite => invite.org.slug), [org.slug]);
+
+    const accepted = await call('POST', `/user/invites/${invites[0].id}/accept`, { token: newcomer.token });
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.org.role, 'member');
+
+    const members = await call('GET', `/orgs/${org.id}/members`, { token: owner.token });
+    assert.ok(members.body.members.some(member => member.email === 'newcomer@example.com'));
+});